@@ -0,0 +1,47 @@
+import https from "https";
+import { EventEmitter } from "events";
+
+/**
+ * Replace https.request with a fake that answers from `routes` and records every call
+ * Routes are [method, pathPattern, status, body, headers]; the first match answers, unmatched requests get a 404.
+ * A route marked with once() is dropped after answering, so retries can see a different response.
+ */
+export function installFakeHttps() {
+  const original = https.request;
+  const fake = { routes: [], calls: [] };
+
+  https.request = (options, callback) => {
+    const req = new EventEmitter();
+    let body = "";
+    req.write = (chunk) => (body += chunk);
+    req.setTimeout = () => {};
+    req.destroy = () => {};
+    req.end = () => {
+      fake.calls.push({ method: options.method, host: options.hostname, path: options.path, headers: options.headers, body });
+      const index = fake.routes.findIndex(([method, pattern]) => method === options.method && pattern.test(options.path));
+      const route = fake.routes[index];
+      if (route?.once) fake.routes.splice(index, 1);
+
+      const [status, resBody, headers = {}] = route ? route.slice(2) : [404, {}];
+      const res = new EventEmitter();
+      res.statusCode = status;
+      res.headers = headers;
+      setImmediate(() => {
+        callback(res);
+        res.emit("data", typeof resBody === "string" ? resBody : JSON.stringify(resBody));
+        res.emit("end");
+      });
+    };
+    return req;
+  };
+
+  fake.restore = () => {
+    https.request = original;
+  };
+  return fake;
+}
+
+/**
+ * Mark a route to answer a single request
+ */
+export const once = (route) => Object.assign(route, { once: true });
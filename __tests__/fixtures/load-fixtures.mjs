@@ -0,0 +1,17 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const fixturesRoot = path.dirname(fileURLToPath(import.meta.url));
+
+/**
+ * Load every JSON fixture in __tests__/fixtures/<folder>, sorted by file name, with its name added
+ */
+export function loadFixtures(folder) {
+  const dir = path.join(fixturesRoot, folder);
+  return fs
+    .readdirSync(dir)
+    .filter((file) => file.endsWith(".json"))
+    .sort()
+    .map((file) => ({ name: path.basename(file, ".json"), ...JSON.parse(fs.readFileSync(path.join(dir, file), "utf8")) }));
+}
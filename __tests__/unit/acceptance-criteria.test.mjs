@@ -0,0 +1,41 @@
+import { ConfigManager, splitAcceptanceCriteria, toTaskList } from "../../src/handlers/jira-webhook.mjs";
+import { loadFixtures } from "../fixtures/load-fixtures.mjs";
+
+const fixtures = loadFixtures("acceptance-criteria");
+
+describe("splitAcceptanceCriteria / toTaskList", () => {
+  test.each(fixtures)("$name: $description", ({ markdown, remainder, criteria, taskList }) => {
+    expect(splitAcceptanceCriteria(markdown)).toEqual({ description: remainder, criteria });
+    expect(toTaskList(criteria)).toBe(taskList);
+  });
+
+  test("turns escaped checkboxes from Jira text into ticked tasks", () => {
+    expect(toTaskList("- \\[x\\] Done\n- Open")).toBe("- [x] Done\n- [ ] Open");
+  });
+});
+
+describe("ConfigManager.getAcceptanceCriteriaField", () => {
+  test("uses the first customfield_ id when no field mapper is available", async () => {
+    const config = new ConfigManager({ ACCEPTANCE_CRITERIA_FIELD: "Acceptance Criteria, customfield_10040" });
+    expect(await config.getAcceptanceCriteriaField()).toBe("customfield_10040");
+  });
+
+  test("resolves field names through the field mapper once", async () => {
+    const lookups = [];
+    const fieldMapper = {
+      resolveFieldNames: async (names) => {
+        lookups.push(names);
+        return ["customfield_10050"];
+      },
+    };
+    const config = new ConfigManager({ ACCEPTANCE_CRITERIA_FIELD: "Acceptance Criteria,AC" }, fieldMapper);
+
+    expect(await config.getAcceptanceCriteriaField()).toBe("customfield_10050");
+    expect(await config.getAcceptanceCriteriaField()).toBe("customfield_10050");
+    expect(lookups).toEqual([["Acceptance Criteria", "AC"]]);
+  });
+
+  test("is null when not configured", async () => {
+    expect(await new ConfigManager({}).getAcceptanceCriteriaField()).toBeNull();
+  });
+});
@@ -0,0 +1,51 @@
+import { adfToMarkdown } from "../../src/handlers/jira-webhook.mjs";
+import { loadFixtures } from "../fixtures/load-fixtures.mjs";
+
+const fixtures = loadFixtures("adf");
+
+describe("adfToMarkdown", () => {
+  test.each(fixtures)("$name: $description", ({ adf, markdown }) => {
+    expect(adfToMarkdown(adf)).toBe(markdown);
+  });
+
+  test("returns empty string for missing input", () => {
+    expect(adfToMarkdown(null)).toBe("");
+    expect(adfToMarkdown(undefined)).toBe("");
+  });
+
+  test("ignores non-ADF objects such as select options", () => {
+    expect(adfToMarkdown({ id: "10001", value: "High" })).toBe("");
+  });
+});
+
+describe("adfToMarkdown mentions", () => {
+  const userMap = { "5b10ac8d82e05b22cc7d4ef5": "jane-gh", "John Smith": ["jsmith", "jsmith-alt"] };
+  const resolveUser = ({ accountId, displayName }) => {
+    const mapped = userMap[accountId] || userMap[displayName];
+    const usernames = mapped ? [].concat(mapped) : [];
+    return { usernames, displayName, isMapped: usernames.length > 0 };
+  };
+  const mention = (id, text) => ({
+    type: "doc",
+    version: 1,
+    content: [{ type: "paragraph", content: [{ type: "mention", attrs: { id, text } }] }],
+  });
+
+  test("maps accountId to GitHub handle", () => {
+    expect(adfToMarkdown(mention("5b10ac8d82e05b22cc7d4ef5", "@Jane Doe"), { resolveUser })).toBe("@jane-gh");
+  });
+
+  test("maps display name to all GitHub handles", () => {
+    expect(adfToMarkdown(mention("unknown-id", "@John Smith"), { resolveUser })).toBe("@jsmith, @jsmith-alt");
+  });
+
+  test("renders unmapped users as a plain name", () => {
+    expect(adfToMarkdown(mention("other-id", "@Ann Lee"), { resolveUser })).toBe("Ann Lee");
+  });
+
+  test("resolves wiki markup mentions without exposing accountIds", () => {
+    expect(adfToMarkdown("cc [~accountid:5b10ac8d82e05b22cc7d4ef5] and [~accountid:abc123]", { resolveUser })).toBe(
+      "cc @jane-gh and someone"
+    );
+  });
+});
@@ -0,0 +1,86 @@
+import crypto from "crypto";
+import { installFakeHttps, once } from "../fixtures/fake-https.mjs";
+import { ConfigManager, createGitHubClient } from "../../src/handlers/jira-webhook.mjs";
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync("rsa", {
+  modulusLength: 2048,
+  privateKeyEncoding: { type: "pkcs8", format: "pem" },
+  publicKeyEncoding: { type: "spki", format: "pem" },
+});
+
+const fake = installFakeHttps();
+const expiresIn = (minutes) => new Date(Date.now() + minutes * 60000).toISOString();
+
+function createClient(env = {}) {
+  return createGitHubClient(new ConfigManager({ GITHUB_APP_ID: "123", GITHUB_APP_PRIVATE_KEY: privateKey.replace(/\n/g, "\\n"), ...env }));
+}
+
+const getIssue = (client, owner) => client.request({ path: `/repos/${owner}/r/issues/1`, method: "GET", headers: client.buildHeaders() });
+const issueTokens = () => fake.calls.filter((c) => c.path.endsWith("/issues/1")).map((c) => c.headers.Authorization);
+const tokenRequests = () => fake.calls.filter((c) => c.method === "POST").map((c) => c.path);
+
+beforeEach(() => {
+  fake.calls.length = 0;
+  fake.routes = [["GET", /\/issues\/1$/, 200, { number: 1 }]];
+});
+
+afterAll(() => fake.restore());
+
+describe("GitHubAppAuth.createJwt", () => {
+  test.each([
+    ["PEM with escaped newlines", privateKey.replace(/\n/g, "\\n")],
+    ["base64-encoded PEM", Buffer.from(privateKey).toString("base64")],
+  ])("signs an RS256 app JWT from a %s", (_, encoded) => {
+    const jwt = createClient({ GITHUB_APP_PRIVATE_KEY: encoded }).appAuth.createJwt();
+
+    const [header, payload, signature] = jwt.split(".");
+    const valid = crypto.verify("RSA-SHA256", Buffer.from(`${header}.${payload}`), publicKey, Buffer.from(signature, "base64url"));
+    const claims = JSON.parse(Buffer.from(payload, "base64url"));
+    expect(valid).toBe(true);
+    expect(JSON.parse(Buffer.from(header, "base64url"))).toEqual({ alg: "RS256", typ: "JWT" });
+    expect(claims.iss).toBe("123");
+    expect(claims.exp - claims.iat).toBe(600);
+  });
+});
+
+describe("GitHubAppAuth.getToken", () => {
+  test("looks up the installation per owner and reuses the token until it nears expiry", async () => {
+    fake.routes.push(
+      ["GET", /^\/repos\/acme\/r\/installation$/, 200, { id: 41 }],
+      ["POST", /^\/app\/installations\/41\/access_tokens$/, 201, { token: "ghs_acme", expires_at: expiresIn(60) }]
+    );
+    const client = createClient();
+
+    await getIssue(client, "acme");
+    await getIssue(client, "acme");
+
+    expect(fake.calls.filter((c) => c.path.endsWith("/installation"))).toHaveLength(1);
+    expect(fake.calls.find((c) => c.path.endsWith("/installation")).headers.Authorization).toMatch(/^Bearer /);
+    expect(tokenRequests()).toEqual(["/app/installations/41/access_tokens"]);
+    expect(issueTokens()).toEqual(["token ghs_acme", "token ghs_acme"]);
+  });
+
+  test("refreshes a token that expires within five minutes", async () => {
+    fake.routes.push(
+      once(["POST", /^\/app\/installations\/42\/access_tokens$/, 201, { token: "ghs_old", expires_at: expiresIn(4) }]),
+      ["POST", /^\/app\/installations\/42\/access_tokens$/, 201, { token: "ghs_new", expires_at: expiresIn(60) }]
+    );
+    const client = createClient({ GITHUB_APP_INSTALLATION_ID: "42" });
+
+    await getIssue(client, "o");
+    await getIssue(client, "o");
+    await getIssue(client, "o");
+
+    expect(fake.calls.some((c) => c.path.endsWith("/installation"))).toBe(false);
+    expect(tokenRequests()).toHaveLength(2);
+    expect(issueTokens()).toEqual(["token ghs_old", "token ghs_new", "token ghs_new"]);
+  });
+
+  test("fails the request when the app is not installed on the repository", async () => {
+    const client = createClient();
+    const create = client.request({ path: "/repos/elsewhere/r/issues", method: "POST", headers: client.buildHeaders(true) }, "{}");
+
+    await expect(create).rejects.toThrow("GitHub App is not installed on elsewhere/r: 404");
+    expect(tokenRequests()).toEqual([]);
+  });
+});
@@ -0,0 +1,25 @@
+import { ConfigManager } from "../../src/handlers/jira-webhook.mjs";
+
+describe("ConfigManager.githubEndpoints", () => {
+  test("defaults to github.com", () => {
+    const { api, uploads, graphql, error } = new ConfigManager({}).githubEndpoints;
+    expect([api.href, uploads.href, graphql.href, error]).toEqual([
+      "https://api.github.com/",
+      "https://uploads.github.com/",
+      "https://api.github.com/",
+      null,
+    ]);
+  });
+
+  test("derives the GraphQL base from a GitHub Enterprise Server API URL", () => {
+    const { api, graphql } = new ConfigManager({ GITHUB_API_URL: "https://ghe.example.com/api/v3" }).githubEndpoints;
+    expect(api.href).toBe("https://ghe.example.com/api/v3");
+    expect(graphql.href).toBe("https://ghe.example.com/api");
+  });
+
+  test("reports an invalid URL instead of throwing", () => {
+    expect(new ConfigManager({ GITHUB_UPLOADS_URL: "ghe.example.com/uploads" }).githubEndpoints).toEqual({
+      error: "GITHUB_UPLOADS_URL is not a valid URL: ghe.example.com/uploads",
+    });
+  });
+});
@@ -0,0 +1,101 @@
+import { installFakeHttps, once } from "../fixtures/fake-https.mjs";
+
+// Read once at import, so set before loading the handler
+process.env.GITHUB_MAX_RETRIES = "2";
+process.env.GITHUB_RETRY_BASE_MS = "1";
+const { ConfigManager, createGitHubClient } = await import("../../src/handlers/jira-webhook.mjs");
+
+const fake = installFakeHttps();
+const config = new ConfigManager({ GITHUB_TOKEN: "ghp_test" });
+const issuePath = /^\/repos\/o\/r\/issues\/1$/;
+
+function get(lambdaContext = null) {
+  const client = createGitHubClient(config, lambdaContext);
+  return client.request({ path: "/repos/o/r/issues/1", method: "GET", headers: client.buildHeaders() });
+}
+
+beforeEach(() => {
+  fake.calls.length = 0;
+  fake.routes = [];
+});
+
+afterAll(() => fake.restore());
+
+describe("GitHubClient.request retries", () => {
+  test.each([403, 429])("retries a %i secondary rate limit after Retry-After", async (status) => {
+    fake.routes.push(
+      once(["GET", issuePath, status, { message: "You have exceeded a secondary rate limit" }, { "retry-after": "0" }]),
+      ["GET", issuePath, 200, { number: 1 }]
+    );
+
+    const resp = await get();
+
+    expect(resp.statusCode).toBe(200);
+    expect(fake.calls).toHaveLength(2);
+  });
+
+  test("backs off on 5xx responses until one succeeds", async () => {
+    fake.routes.push(once(["GET", issuePath, 502, {}]), once(["GET", issuePath, 503, {}]), ["GET", issuePath, 200, { number: 1 }]);
+
+    expect((await get()).statusCode).toBe(200);
+    expect(fake.calls).toHaveLength(3);
+  });
+
+  test("gives up after GITHUB_MAX_RETRIES and returns the last response", async () => {
+    fake.routes.push(["GET", issuePath, 503, {}]);
+
+    expect((await get()).statusCode).toBe(503);
+    expect(fake.calls).toHaveLength(3);
+  });
+
+  test("does not retry POSTs on 5xx responses", async () => {
+    fake.routes.push(["POST", /^\/repos\/o\/r\/issues$/, 502, {}]);
+    const client = createGitHubClient(config);
+
+    const resp = await client.request({ path: "/repos/o/r/issues", method: "POST", headers: client.buildHeaders(true) }, "{}");
+
+    expect(resp.statusCode).toBe(502);
+    expect(fake.calls).toHaveLength(1);
+  });
+
+  test("stops when the wait would not fit in the remaining Lambda time", async () => {
+    fake.routes.push(["GET", issuePath, 429, {}, { "retry-after": "1" }]);
+
+    const resp = await get({ getRemainingTimeInMillis: () => 5500 });
+
+    expect(resp.statusCode).toBe(429);
+    expect(fake.calls).toHaveLength(1);
+  });
+});
+
+describe("GitHubClient.getRetryDelay", () => {
+  const client = createGitHubClient(config);
+
+  test("honours Retry-After in seconds", () => {
+    expect(client.getRetryDelay({ statusCode: 429, headers: { "retry-after": "3" } }, null, 0)).toBe(3000);
+  });
+
+  test("waits for x-ratelimit-reset when the primary limit is exhausted", () => {
+    const reset = Math.floor(Date.now() / 1000) + 10;
+    const headers = { "x-ratelimit-remaining": "0", "x-ratelimit-reset": String(reset) };
+
+    const delay = client.getRetryDelay({ statusCode: 403, headers }, null, 0);
+
+    expect(delay).toBeGreaterThan(9000);
+    expect(delay).toBeLessThanOrEqual(11000);
+  });
+
+  test("doubles the jittered backoff per attempt for 5xx and network errors", () => {
+    const delay = client.getRetryDelay({ statusCode: 500, headers: {} }, null, 3);
+    expect(delay).toBeGreaterThanOrEqual(4);
+    expect(delay).toBeLessThanOrEqual(8);
+    expect(client.getRetryDelay(null, new Error("socket hang up"), 0, "PATCH")).toBeGreaterThan(0);
+  });
+
+  test("does not retry other errors, or POSTs outside rate limits", () => {
+    expect(client.getRetryDelay({ statusCode: 404, headers: {} }, null, 0)).toBeNull();
+    expect(client.getRetryDelay({ statusCode: 403, headers: {}, body: "Resource not accessible" }, null, 0)).toBeNull();
+    expect(client.getRetryDelay(null, new Error("socket hang up"), 0, "POST")).toBeNull();
+    expect(client.getRetryDelay({ statusCode: 429, headers: { "retry-after": "2" } }, null, 0, "POST")).toBe(2000);
+  });
+});
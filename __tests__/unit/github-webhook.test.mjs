@@ -0,0 +1,203 @@
+import crypto from "crypto";
+import https from "https";
+import { EventEmitter } from "events";
+import { mockClient } from "aws-sdk-client-mock";
+import { DynamoDBDocumentClient, QueryCommand } from "@aws-sdk/lib-dynamodb";
+import { handler } from "../../src/handlers/github-webhook.mjs";
+
+const dynamo = mockClient(DynamoDBDocumentClient);
+const originalRequest = https.request;
+let routes = [];
+let calls = [];
+
+// Answer HTTPS requests from `routes` ([method, pathPattern, status, body]) and record them
+function fakeRequest(options, callback) {
+  const req = new EventEmitter();
+  let body = "";
+  req.write = (chunk) => (body += chunk);
+  req.setTimeout = () => {};
+  req.destroy = () => {};
+  req.end = () => {
+    calls.push({ method: options.method, host: options.hostname, path: options.path, body });
+    const route = routes.find(([method, pattern]) => method === options.method && pattern.test(options.path));
+    const [status, resBody] = route ? route.slice(2) : [404, {}];
+    const res = new EventEmitter();
+    res.statusCode = status;
+    res.headers = {};
+    setImmediate(() => {
+      callback(res);
+      res.emit("data", JSON.stringify(resBody));
+      res.emit("end");
+    });
+  };
+  return req;
+}
+
+const jiraStatus = (name, category) => [
+  "GET",
+  /\/rest\/api\/3\/issue\/ABC-1\?fields=status/,
+  200,
+  { key: "ABC-1", fields: { status: { name, statusCategory: { key: category } } } },
+];
+
+const transitions = [
+  ["GET", /\/issue\/ABC-1\/transitions$/, 200, { transitions: [{ id: "31", name: "Done", to: { name: "Done" } }, { id: "11", name: "To Do", to: { name: "To Do" } }] }],
+  ["POST", /\/issue\/ABC-1\/transitions$/, 204, {}],
+];
+
+async function send(action, sender = "octocat", issue = {}, extra = {}) {
+  const payload = {
+    action,
+    sender: { login: sender },
+    repository: { name: "r", owner: { login: "o" } },
+    issue: { number: 7, title: "ABC-1: Sum", state: action === "closed" ? "closed" : "open", ...issue },
+    ...extra,
+  };
+  const body = JSON.stringify(payload);
+  const signature = `sha256=${crypto.createHmac("sha256", "whsec").update(body).digest("hex")}`;
+  const res = await handler({ headers: { "X-GitHub-Event": "issues", "X-Hub-Signature-256": signature }, body });
+  return JSON.parse(res.body).message;
+}
+
+const transitionedTo = () =>
+  calls.filter((c) => c.method === "POST" && c.path.endsWith("/transitions")).map((c) => JSON.parse(c.body).transition.id);
+
+beforeEach(() => {
+  process.env.GITHUB_TOKEN = "ghp_test";
+  process.env.GITHUB_WEBHOOK_SECRET = "whsec";
+  process.env.JIRA_BASE_URL = "https://example.atlassian.net";
+  process.env.JIRA_EMAIL = "sync@example.com";
+  process.env.JIRA_API_TOKEN = "token";
+  delete process.env.MAPPING_TABLE_NAME;
+  delete process.env.STATUS_MAP_JSON;
+  delete process.env.JIRA_NOT_PLANNED_STATUS;
+  delete process.env.ACCEPTANCE_CRITERIA_FIELD;
+  routes = [["GET", /^\/user$/, 200, { login: "sync-bot" }]];
+  calls = [];
+  dynamo.reset();
+  https.request = fakeRequest;
+});
+
+afterAll(() => {
+  https.request = originalRequest;
+});
+
+describe("GitHub webhook signatures", () => {
+  const unsigned = { headers: { "X-GitHub-Event": "issues" }, body: JSON.stringify({ action: "closed", issue: { number: 7 } }) };
+
+  test("rejects unsigned requests when no secret is configured", async () => {
+    delete process.env.GITHUB_WEBHOOK_SECRET;
+
+    const res = await handler(unsigned);
+
+    expect(res.statusCode).toBe(401);
+    expect(calls).toEqual([]);
+  });
+
+  test("rejects requests whose signature does not match the secret", async () => {
+    const res = await handler({ ...unsigned, headers: { ...unsigned.headers, "X-Hub-Signature-256": "sha256=00" } });
+    expect(res.statusCode).toBe(401);
+  });
+});
+
+describe("GitHub -> Jira issue state", () => {
+  test("ignores close and reopen events sent by the sync user", async () => {
+    routes.push(jiraStatus("Done", "done"), ...transitions);
+
+    expect(await send("reopened", "Sync-Bot")).toBe("Event caused by the sync");
+    expect(calls.some((c) => c.host === "example.atlassian.net")).toBe(false);
+  });
+
+  test("does not move a reopened ticket back when its Jira status is already open", async () => {
+    routes.push(jiraStatus("In Progress", "indeterminate"), ...transitions);
+
+    expect(await send("reopened")).toBe("Jira status already open");
+    expect(transitionedTo()).toEqual([]);
+  });
+
+  test("does not close a ticket whose Jira status already maps to closed", async () => {
+    routes.push(jiraStatus("Closed", "done"), ...transitions);
+
+    expect(await send("closed")).toBe("Jira status already closed");
+    expect(transitionedTo()).toEqual([]);
+  });
+
+  test("transitions Jira when a person closes or reopens the issue", async () => {
+    routes.push(jiraStatus("In Progress", "indeterminate"), ...transitions);
+    expect(await send("closed")).toBe("Jira issue transitioned");
+
+    routes = [["GET", /^\/user$/, 200, { login: "sync-bot" }], jiraStatus("Done", "done"), ...transitions];
+    expect(await send("reopened")).toBe("Jira issue transitioned");
+    expect(transitionedTo()).toEqual(["31", "11"]);
+  });
+
+  test("leaves Jira alone when the issue is closed as not planned", async () => {
+    routes.push(jiraStatus("Won't Do", "done"), ...transitions);
+    expect(await send("closed", "octocat", { state_reason: "not_planned" })).toBe("Closed as not planned; Jira left unchanged");
+
+    process.env.JIRA_NOT_PLANNED_STATUS = "Won't Do";
+    routes = [
+      ["GET", /^\/user$/, 200, { login: "sync-bot" }],
+      jiraStatus("In Progress", "indeterminate"),
+      ["GET", /\/issue\/ABC-1\/transitions$/, 200, { transitions: [{ id: "41", name: "Won't Do", to: { name: "Won't Do" } }] }],
+      ...transitions,
+    ];
+    expect(await send("closed", "octocat", { state_reason: "not_planned" })).toBe("Jira issue transitioned");
+    expect(transitionedTo()).toEqual(["41"]);
+  });
+
+  test("skips issues that were unlinked or whose Jira ticket was deleted", async () => {
+    process.env.MAPPING_TABLE_NAME = "mappings";
+    routes.push(jiraStatus("In Progress", "indeterminate"), ...transitions);
+
+    dynamo.on(QueryCommand).resolves({ Items: [{ jiraKey: "ABC-1", unlinked: { policy: "close" } }] });
+    expect(await send("closed")).toBe("Issue is unlinked from Jira");
+
+    dynamo.on(QueryCommand).resolves({ Items: [{ jiraKey: "ABC-1", deletedAt: "2026-01-01T00:00:00.000Z" }] });
+    expect(await send("closed")).toBe("Jira issue was deleted");
+
+    expect(transitionedTo()).toEqual([]);
+  });
+});
+
+describe("GitHub -> Jira acceptance criteria", () => {
+  const synced = (criteria, rest = "") =>
+    `Notes\n\n<!-- jira-sync:start -->\nDesc\n\n### Acceptance Criteria\n\n${criteria}${rest}\n<!-- jira-sync:end -->`;
+  const paragraph = (...content) => ({ type: "listItem", content: [{ type: "paragraph", content }] });
+  const mention = { type: "mention", attrs: { id: "1", text: "@Ann" } };
+  const emoji = { type: "emoji", attrs: { shortName: ":tada:" } };
+
+  const edit = (from, to) => send("edited", "octocat", { body: to }, { changes: { body: { from } } });
+  const written = () => calls.filter((c) => c.method === "PUT").map((c) => JSON.parse(c.body).fields.customfield_10050);
+
+  beforeEach(() => {
+    process.env.ACCEPTANCE_CRITERIA_FIELD = "customfield_10050";
+    routes.push(
+      ["GET", /\/rest\/api\/3\/field$/, 200, []],
+      ["PUT", /\/rest\/api\/3\/issue\/ABC-1$/, 204, {}]
+    );
+  });
+
+  test("ends the section at the next heading of any name", async () => {
+    const rest = "\n\n### Checklist\n\n- [ ] Extra";
+
+    const message = await edit(synced("- [ ] One\n- [ ] Two", rest), synced("- [ ] One\n- [ ] Two", rest.replace("[ ]", "[x]")));
+
+    expect(message).toBe("No acceptance criteria changes");
+    expect(written()).toEqual([]);
+  });
+
+  test("keeps the checkbox prefix at the start of items that open with a mention or emoji", async () => {
+    const doc = { type: "doc", version: 1, content: [{ type: "bulletList", content: [
+      paragraph({ type: "text", text: "[x] " }, emoji),
+      paragraph(mention, { type: "text", text: " reviews" }),
+    ] }] };
+    routes.push(["GET", /\/rest\/api\/3\/issue\/ABC-1\?fields=customfield_10050/, 200, { key: "ABC-1", fields: { customfield_10050: doc } }]);
+
+    const message = await edit(synced("- [x] :tada:\n- [ ] @Ann reviews"), synced("- [ ] :tada:\n- [x] @Ann reviews"));
+
+    expect(message).toBe("Jira acceptance criteria updated");
+    const [items] = written().map((value) => value.content[0].content.map((item) => item.content[0].content));
+    expect(items).toEqual([[emoji], [{ type: "text", text: "[x] " }, mention, { type: "text", text: " reviews" }]]);
+  });
+});
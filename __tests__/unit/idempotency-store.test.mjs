@@ -0,0 +1,103 @@
+import { mockClient } from "aws-sdk-client-mock";
+import { DeleteCommand, DynamoDBDocumentClient, GetCommand, PutCommand, UpdateCommand } from "@aws-sdk/lib-dynamodb";
+import { IdempotencyStore, processJiraEventOnce } from "../../src/handlers/jira-webhook.mjs";
+
+const dynamo = mockClient(DynamoDBDocumentClient);
+const now = () => Math.floor(Date.now() / 1000);
+const conditionFailed = Object.assign(new Error("The conditional request failed"), { name: "ConditionalCheckFailedException" });
+
+beforeEach(() => dynamo.reset());
+
+describe("IdempotencyStore.claim", () => {
+  test("claims an unseen fingerprint with a conditional put and the configured TTL", async () => {
+    dynamo.on(PutCommand).resolves({});
+
+    const before = now();
+    expect(await new IdempotencyStore("deliveries", 72 * 3600).claim("hash-1")).toEqual({ claimed: true });
+
+    const { Item, ConditionExpression } = dynamo.commandCalls(PutCommand)[0].args[0].input;
+    expect(Item.fingerprint).toBe("hash-1");
+    expect(Item.status).toBe("IN_PROGRESS");
+    expect(Item.expiresAt - before).toBeGreaterThanOrEqual(72 * 3600);
+    expect(Item.expiresAt - before).toBeLessThanOrEqual(72 * 3600 + 1);
+    expect(Item.lockExpiresAt - before).toBeGreaterThanOrEqual(900);
+    expect(ConditionExpression).toContain("attribute_not_exists(fingerprint)");
+    expect(ConditionExpression).toContain("lockExpiresAt < :now");
+  });
+
+  test("returns the existing record when the fingerprint was already claimed", async () => {
+    const record = { fingerprint: "hash-1", status: "IN_PROGRESS", expiresAt: now() + 60 };
+    dynamo.on(PutCommand).rejects(conditionFailed);
+    dynamo.on(GetCommand).resolves({ Item: record });
+
+    expect(await new IdempotencyStore("deliveries", 3600).claim("hash-1")).toEqual({ claimed: false, record });
+  });
+
+  test("does not block syncing when the table cannot be written", async () => {
+    dynamo.on(PutCommand).rejects(new Error("Service unavailable"));
+    expect(await new IdempotencyStore("deliveries", 3600).claim("hash-1")).toEqual({ claimed: true });
+  });
+
+  test("claims everything without a table", async () => {
+    expect(await new IdempotencyStore(null, 3600).claim("hash-1")).toEqual({ claimed: true });
+    expect(dynamo.commandCalls(PutCommand)).toHaveLength(0);
+  });
+});
+
+describe("IdempotencyStore records", () => {
+  test("treats records past their TTL as missing until DynamoDB deletes them", async () => {
+    dynamo.on(GetCommand).resolves({ Item: { fingerprint: "hash-1", expiresAt: now() - 1 } });
+    expect(await new IdempotencyStore("deliveries", 3600).get("hash-1")).toBeNull();
+  });
+
+  test("completes with the result and releases by deleting the claim", async () => {
+    const store = new IdempotencyStore("deliveries", 3600);
+
+    await store.complete("hash-1", { statusCode: 200, body: "{}", headers: {} });
+    await store.release("hash-2");
+
+    const { ExpressionAttributeValues } = dynamo.commandCalls(UpdateCommand)[0].args[0].input;
+    expect(ExpressionAttributeValues[":completed"]).toBe("COMPLETED");
+    expect(ExpressionAttributeValues[":result"]).toEqual({ statusCode: 200, body: "{}" });
+    expect(dynamo.commandCalls(DeleteCommand)[0].args[0].input.Key).toEqual({ fingerprint: "hash-2" });
+  });
+});
+
+describe("processJiraEventOnce", () => {
+  const payload = { webhookEvent: "jira:issue_updated", issue: { key: "ABC-1", fields: {} }, changelog: { items: [{ field: "Parent" }] } };
+
+  beforeAll(() => {
+    process.env.IDEMPOTENCY_TABLE_NAME = "deliveries";
+  });
+
+  afterAll(() => {
+    delete process.env.IDEMPOTENCY_TABLE_NAME;
+  });
+
+  test("answers 409 while the same delivery is still in progress", async () => {
+    dynamo.on(PutCommand).rejects(conditionFailed);
+    dynamo.on(GetCommand).resolves({ Item: { fingerprint: "hash-1", status: "IN_PROGRESS", expiresAt: now() + 60 } });
+
+    const res = await processJiraEventOnce(payload, "hash-1");
+
+    expect(res.statusCode).toBe(409);
+    expect(dynamo.commandCalls(UpdateCommand)).toHaveLength(0);
+  });
+
+  test("replays the recorded result of a completed delivery", async () => {
+    const result = { statusCode: 200, body: JSON.stringify({ message: "Issue body updated" }) };
+    dynamo.on(PutCommand).rejects(conditionFailed);
+    dynamo.on(GetCommand).resolves({ Item: { fingerprint: "hash-1", status: "COMPLETED", result, expiresAt: now() + 60 } });
+
+    expect(await processJiraEventOnce(payload, "hash-1")).toEqual(result);
+  });
+
+  test("records the result after processing a new delivery", async () => {
+    dynamo.on(PutCommand).resolves({});
+
+    const res = await processJiraEventOnce(payload, "hash-1");
+
+    expect(JSON.parse(res.body).message).toBe("Parent-only update skipped");
+    expect(dynamo.commandCalls(UpdateCommand)[0].args[0].input.Key).toEqual({ fingerprint: "hash-1" });
+  });
+});
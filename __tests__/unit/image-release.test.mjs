@@ -0,0 +1,41 @@
+import { installFakeHttps } from "../fixtures/fake-https.mjs";
+
+process.env.GITHUB_MAX_RETRIES = "0";
+const { ConfigManager, ImageHandler, createGitHubClient } = await import("../../src/handlers/jira-webhook.mjs");
+
+const fake = installFakeHttps();
+const images = new ImageHandler("sync@example.com", "token", createGitHubClient(new ConfigManager({ GITHUB_TOKEN: "ghp_test" })));
+const created = () => fake.calls.filter((c) => c.method === "POST");
+
+beforeEach(() => {
+  fake.calls.length = 0;
+  fake.routes = [["POST", /^\/repos\/o\/r\/releases$/, 201, { id: 99 }]];
+});
+
+afterAll(() => fake.restore());
+
+describe("ImageHandler.getOrCreateRelease", () => {
+  test("reuses the jira-images release found on a later page", async () => {
+    fake.routes.unshift(
+      ["GET", /releases\?per_page=100$/, 200, [{ id: 1, tag_name: "v1" }], { link: '<https://api.github.com/repos/o/r/releases?per_page=100&page=2>; rel="next"' }],
+      ["GET", /releases\?per_page=100&page=2$/, 200, [{ id: 7, tag_name: "jira-images" }]]
+    );
+
+    expect(await images.getOrCreateRelease("o", "r")).toBe(7);
+    expect(created()).toEqual([]);
+  });
+
+  test("creates the release only when the full list lacks the tag", async () => {
+    fake.routes.unshift(["GET", /releases\?per_page=100$/, 200, [{ id: 1, tag_name: "v1" }]]);
+
+    expect(await images.getOrCreateRelease("o", "r")).toBe(99);
+    expect(created()).toHaveLength(1);
+  });
+
+  test("does not create a second release when the lookup fails", async () => {
+    fake.routes.unshift(["GET", /releases\?per_page=100$/, 502, { message: "Bad Gateway" }]);
+
+    expect(await images.getOrCreateRelease("o", "r")).toBeNull();
+    expect(created()).toEqual([]);
+  });
+});
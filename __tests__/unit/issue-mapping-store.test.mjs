@@ -0,0 +1,32 @@
+import { mockClient } from "aws-sdk-client-mock";
+import { BatchGetCommand, DynamoDBDocumentClient } from "@aws-sdk/lib-dynamodb";
+import { IssueMappingStore } from "../../src/handlers/jira-webhook.mjs";
+
+const dynamo = mockClient(DynamoDBDocumentClient);
+
+beforeEach(() => dynamo.reset());
+
+describe("IssueMappingStore.getMany", () => {
+  test("reads keys in batches of 100 and retries unprocessed keys", async () => {
+    const keys = Array.from({ length: 150 }, (_, i) => `ABC-${i + 1}`);
+    dynamo
+      .on(BatchGetCommand)
+      .resolvesOnce({
+        Responses: { mappings: [{ jiraKey: "ABC-1", issueNumber: 1 }] },
+        UnprocessedKeys: { mappings: { Keys: [{ jiraKey: "ABC-2" }] } },
+      })
+      .resolvesOnce({ Responses: { mappings: [{ jiraKey: "ABC-2", issueNumber: 2 }] } })
+      .resolves({ Responses: { mappings: [{ jiraKey: "ABC-150", issueNumber: 150 }] } });
+
+    const found = await new IssueMappingStore("mappings").getMany([...keys, "ABC-1", null]);
+
+    const requested = dynamo.commandCalls(BatchGetCommand).map((c) => c.args[0].input.RequestItems.mappings.Keys.length);
+    expect(requested).toEqual([100, 1, 50]);
+    expect([...found.keys()]).toEqual(["ABC-1", "ABC-2", "ABC-150"]);
+  });
+
+  test("returns an empty map without a table", async () => {
+    expect((await new IssueMappingStore(null).getMany(["ABC-1"])).size).toBe(0);
+    expect(dynamo.commandCalls(BatchGetCommand)).toHaveLength(0);
+  });
+});
@@ -0,0 +1,54 @@
+import { ConfigManager, IssueSyncHandler } from "../../src/handlers/jira-webhook.mjs";
+
+const issue = (status, duedate) => ({
+  key: "ABC-1",
+  fields: {
+    summary: "Sum",
+    description: "Do the thing",
+    status: { name: status },
+    priority: { name: "High" },
+    duedate,
+    customfield_10015: "2026-03-01",
+    labels: [],
+  },
+});
+
+function createSync(env, body) {
+  const fieldMapper = { resolveFieldNames: async () => ["customfield_10015"], getFieldName: async (id) => id };
+  const config = new ConfigManager({ JIRA_BASE_URL: "https://example.atlassian.net", GITHUB_OWNER: "o", GITHUB_REPO: "r", ...env }, fieldMapper);
+  const updates = [];
+  const github = {
+    getIssue: async () => ({ number: 7, state: "open", labels: [], body }),
+    updateIssue: async (owner, repo, number, data) => updates.push(data),
+  };
+  const images = { processImages: async () => ({}) };
+  return { sync: new IssueSyncHandler(config, github, images), updates };
+}
+
+describe("IssueSyncHandler.updateIssueStatus", () => {
+  test("re-renders the details template rows and keeps notes outside the synced region", async () => {
+    const env = { ISSUE_BODY_TEMPLATE_FILE: "templates/issue-body-details.md" };
+    const { sync: creator } = createSync(env);
+    const original = await creator.buildIssueBody(issue("To Do", null), "Do the thing");
+    const body = `Notes\n\n<!-- jira-sync:start -->\n${original}\n<!-- jira-sync:end -->`;
+    const { sync, updates } = createSync(env, body);
+
+    await sync.updateIssueStatus("o", "r", 7, issue("In Progress", "2026-04-01"));
+
+    const next = updates[0].body;
+    expect(next.startsWith("Notes\n\n<!-- jira-sync:start -->\nDo the thing")).toBe(true);
+    expect(next).toContain("| Status | In Progress |\n| Due Date | 2026-04-01 |\n| Start Date | 2026-03-01 |");
+    expect(next).not.toContain("To Do");
+    expect(next).not.toContain("- **Status:**");
+  });
+
+  test("updates the default layout through the same path", async () => {
+    const { sync, updates } = createSync({}, "<!-- jira-sync:start -->\nold\n<!-- jira-sync:end -->");
+
+    await sync.updateIssueStatus("o", "r", 7, issue("Done", "2026-04-01"));
+
+    expect(updates[0].state).toBe("closed");
+    expect(updates[0].body).toContain("2026-04-01");
+    expect(updates[0].body).not.toContain("old");
+  });
+});
@@ -0,0 +1,152 @@
+import https from "https";
+import { EventEmitter } from "events";
+import { ConfigManager, IssueSyncHandler, processJiraEventOnce } from "../../src/handlers/jira-webhook.mjs";
+
+const blocks = { name: "Blocks", outward: "blocks", inward: "is blocked by" };
+const relates = { name: "Relates", outward: "relates to", inward: "relates to" };
+const issueLinks = [
+  { type: blocks, outwardIssue: { key: "ABC-2", fields: { summary: "Two", status: { name: "To Do" } } } },
+  { type: blocks, outwardIssue: { key: "ABC-3", fields: { summary: "Three" } } },
+  { type: blocks, inwardIssue: { key: "ABC-4", fields: { summary: "Four" } } },
+  { type: relates, outwardIssue: { key: "XYZ-9", fields: { summary: "Nine" } } },
+  { type: relates, outwardIssue: { key: "ABC-5", fields: { summary: "Gone" } } },
+];
+
+function createSync({ mappings = null, found = {} } = {}) {
+  const searches = [];
+  const reads = [];
+  const config = new ConfigManager({ JIRA_BASE_URL: "https://example.atlassian.net", GITHUB_OWNER: "o", GITHUB_REPO: "r" });
+  let pending = 0;
+  const github = {
+    findIssue: async (owner, repo, key) => {
+      searches.push(`${owner}/${repo} ${key}`);
+      if (++pending > 1) throw new Error("concurrent search");
+      await new Promise((resolve) => setImmediate(resolve));
+      pending--;
+      return found[key] || null;
+    },
+  };
+  const store = {
+    isEnabled: () => !!mappings,
+    getMany: async (keys) => {
+      reads.push(keys);
+      return new Map(keys.filter((key) => mappings[key]).map((key) => [key, mappings[key]]));
+    },
+    put: async () => {
+      throw new Error("linked keys must not be backfilled");
+    },
+  };
+  return { sync: new IssueSyncHandler(config, github, null, store), searches, reads };
+}
+
+describe("IssueSyncHandler.buildLinkedIssues", () => {
+  test("groups links by relation with GitHub references or Jira links", async () => {
+    const { sync, searches, reads } = createSync({
+      mappings: {
+        "ABC-2": { issueNumber: 12, owner: "o", repo: "r" },
+        "ABC-4": { issueNumber: 14, owner: "o", repo: "r" },
+        "XYZ-9": { issueNumber: 3, owner: "acme", repo: "api" },
+        "ABC-5": { issueNumber: 15, owner: "o", repo: "r", deletedAt: "2026-01-01T00:00:00.000Z" },
+      },
+    });
+
+    const groups = await sync.buildLinkedIssues(issueLinks, "o", "r");
+
+    expect(groups.map(({ relation, refs }) => [relation, refs])).toEqual([
+      ["blocks", "#12, [ABC-3](https://example.atlassian.net/browse/ABC-3)"],
+      ["is blocked by", "#14"],
+      ["relates to", "acme/api#3, [ABC-5](https://example.atlassian.net/browse/ABC-5)"],
+    ]);
+    expect(groups[0].issues[0]).toEqual({
+      key: "ABC-2",
+      summary: "Two",
+      status: "To Do",
+      url: "https://example.atlassian.net/browse/ABC-2",
+      synced: true,
+      ref: "#12",
+    });
+    expect(reads).toEqual([["ABC-2", "ABC-3", "ABC-4", "XYZ-9", "ABC-5"]]);
+    expect(searches).toEqual([]);
+  });
+
+  test("searches this repository one link at a time when no mapping table is configured", async () => {
+    const { sync, searches } = createSync({ found: { "ABC-3": { number: 13 } } });
+
+    const groups = await sync.buildLinkedIssues(issueLinks.slice(0, 3), "o", "r");
+
+    expect(searches).toEqual(["o/r ABC-2", "o/r ABC-3", "o/r ABC-4"]);
+    expect(groups.map(({ refs }) => refs)).toEqual([
+      "[ABC-2](https://example.atlassian.net/browse/ABC-2), #13",
+      "[ABC-4](https://example.atlassian.net/browse/ABC-4)",
+    ]);
+  });
+
+  test("returns no groups without links", async () => {
+    const { sync } = createSync();
+    expect(await sync.buildLinkedIssues(undefined, "o", "r")).toEqual([]);
+  });
+});
+
+describe("issuelink webhooks", () => {
+  const originalRequest = https.request;
+  const calls = [];
+
+  // Jira returns ABC-1 (linked to #7) for id 1001 and the unsynced ABC-3 for id 1002
+  const routes = [
+    ["GET", /\/rest\/api\/3\/issue\/1001$/, { key: "ABC-1", fields: { summary: "Sum", labels: [], issuelinks: issueLinks.slice(0, 1) } }],
+    ["GET", /\/rest\/api\/3\/issue\/1002$/, { key: "ABC-3", fields: { summary: "Three", labels: [] } }],
+    ["GET", /^\/search\/issues\?q=.*ABC-1/, { items: [{ number: 7, title: "ABC-1: Sum" }] }],
+    ["GET", /^\/search\/issues\?q=.*ABC-2/, { items: [{ number: 12, title: "ABC-2: Two" }] }],
+    ["GET", /^\/search\/issues/, { items: [] }],
+    ["GET", /^\/repos\/o\/r\/issues\/7$/, { number: 7, state: "open", labels: [], body: "Notes\n\n<!-- jira-sync:start -->\nold\n<!-- jira-sync:end -->" }],
+    ["GET", /^\/repos\/o\/r\/labels\//, {}],
+    ["PATCH", /^\/repos\/o\/r\/issues\/7$/, {}],
+  ];
+
+  beforeAll(() => {
+    Object.assign(process.env, {
+      GITHUB_TOKEN: "ghp_test",
+      GITHUB_OWNER: "o",
+      GITHUB_REPO: "r",
+      JIRA_BASE_URL: "https://example.atlassian.net",
+      JIRA_EMAIL: "sync@example.com",
+      JIRA_API_TOKEN: "token",
+    });
+    https.request = (options, callback) => {
+      const req = new EventEmitter();
+      let body = "";
+      req.write = (chunk) => (body += chunk);
+      req.setTimeout = () => {};
+      req.destroy = () => {};
+      req.end = () => {
+        calls.push({ method: options.method, path: options.path, body });
+        const route = routes.find(([method, pattern]) => method === options.method && pattern.test(options.path));
+        const res = new EventEmitter();
+        res.statusCode = route ? 200 : 404;
+        res.headers = {};
+        setImmediate(() => {
+          callback(res);
+          res.emit("data", JSON.stringify(route ? route[2] : {}));
+          res.emit("end");
+        });
+      };
+      return req;
+    };
+  });
+
+  afterAll(() => {
+    https.request = originalRequest;
+  });
+
+  test("refreshes the Linked Issues section of the synced end", async () => {
+    const payload = { webhookEvent: "issuelink_created", issueLink: { id: 55, sourceIssueId: 1001, destinationIssueId: 1002 } };
+
+    const res = await processJiraEventOnce(payload, "hash-test");
+
+    expect(JSON.parse(res.body)).toEqual({ message: "Linked issues refreshed", issues: ["o/r#7"] });
+    const patch = calls.find((c) => c.method === "PATCH");
+    const body = JSON.parse(patch.body).body;
+    expect(body.startsWith("Notes\n\n<!-- jira-sync:start -->")).toBe(true);
+    expect(body).toContain("Linked Issues\n- blocks: #12\n<!-- jira-sync:end -->");
+  });
+});
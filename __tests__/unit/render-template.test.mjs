@@ -0,0 +1,34 @@
+import { renderTemplate } from "../../src/handlers/jira-webhook.mjs";
+
+describe("renderTemplate", () => {
+  test("inserts values and dotted paths", () => {
+    expect(renderTemplate("{{key}} by {{author.name}}", { key: "ABC-1", author: { name: "Ann" } })).toBe("ABC-1 by Ann");
+  });
+
+  test("renders missing values as empty strings", () => {
+    expect(renderTemplate("[{{missing}}] [{{a.b.c}}]", { a: null })).toBe("[] []");
+  });
+
+  test("repeats sections for arrays and resolves names against the item first", () => {
+    const view = { name: "outer", items: [{ name: "a" }, { name: "b" }, { value: 1 }] };
+    expect(renderTemplate("{{#items}}<{{name}}>{{/items}}", view)).toBe("<a><b><outer>");
+    expect(renderTemplate("{{#tags}}{{.}},{{/tags}}", { tags: ["x", "y"] })).toBe("x,y,");
+  });
+
+  test("skips falsy sections and renders inverted ones", () => {
+    const template = "{{#user}}Hi {{name}}{{/user}}{{^user}}Nobody{{/user}}";
+    expect(renderTemplate(template, { user: { name: "Ann" } })).toBe("Hi Ann");
+    expect(renderTemplate(template, { user: null })).toBe("Nobody");
+    expect(renderTemplate("{{^list}}empty{{/list}}", { list: [] })).toBe("empty");
+  });
+
+  test("supports nested sections with the same name", () => {
+    const view = { node: { label: "a", node: { label: "b" } } };
+    expect(renderTemplate("{{#node}}{{label}}{{#node}}>{{label}}{{/node}}{{/node}}", view)).toBe("a>b");
+  });
+
+  test("drops lines that only hold section tags or comments", () => {
+    const template = "{{! header }}\nTitle\n{{#items}}\n- {{.}}\n{{/items}}\nEnd\n";
+    expect(renderTemplate(template, { items: ["one", "two"] })).toBe("Title\n- one\n- two\nEnd\n");
+  });
+});
@@ -0,0 +1,65 @@
+import { ConfigManager } from "../../src/handlers/jira-webhook.mjs";
+
+const config = (statusMap) => new ConfigManager(statusMap ? { STATUS_MAP_JSON: JSON.stringify(statusMap) } : {});
+
+describe("ConfigManager.statusMap", () => {
+  test("lowercases keys and drops entries that are not objects", () => {
+    expect(config({ "Won't Do": { state: "closed" }, Review: "open", done: { label: null } }).statusMap).toEqual({
+      "won't do": { state: "closed" },
+      done: { label: null },
+    });
+  });
+
+  test("is empty when STATUS_MAP_JSON is missing or invalid", () => {
+    expect(config().statusMap).toEqual({});
+    expect(new ConfigManager({ STATUS_MAP_JSON: "{not json" }).statusMap).toEqual({});
+  });
+});
+
+describe("ConfigManager.resolveStatus", () => {
+  test("falls back to the status category without a map", () => {
+    expect(config().resolveStatus({ name: "Shipped", statusCategory: { key: "done" } })).toEqual({
+      statusName: "Shipped",
+      state: "closed",
+      stateReason: "completed",
+      label: "status: Shipped",
+    });
+    expect(config().resolveStatus({ name: "Done", statusCategory: { key: "indeterminate" } }).state).toBe("open");
+  });
+
+  test("falls back to well-known names for plain status names", () => {
+    expect(config().resolveStatus("Resolved").state).toBe("closed");
+    expect(config().resolveStatus("In Review")).toMatchObject({ state: "open", stateReason: null });
+  });
+
+  test("uses the status name entry before the category entry", () => {
+    const map = {
+      "won't do": { state: "closed", state_reason: "not_planned", label: "wontfix" },
+      done: { state: "closed", label: "status: shipped" },
+    };
+    expect(config(map).resolveStatus({ name: "Won't Do", statusCategory: { key: "done" } })).toEqual({
+      statusName: "Won't Do",
+      state: "closed",
+      stateReason: "not_planned",
+      label: "wontfix",
+    });
+    expect(config(map).resolveStatus({ name: "Closed", statusCategory: { key: "done" } })).toMatchObject({
+      stateReason: "completed",
+      label: "status: shipped",
+    });
+  });
+
+  test("keeps issues open for mapped statuses that are not closed", () => {
+    const map = { blocked: { state: "OPEN", label: "blocked" } };
+    expect(config(map).resolveStatus({ name: "Blocked", statusCategory: { key: "done" } })).toMatchObject({
+      state: "open",
+      stateReason: null,
+      label: "blocked",
+    });
+  });
+
+  test("suppresses the status label with a null or false label", () => {
+    expect(config({ backlog: { label: null } }).resolveStatus("Backlog").label).toBeUndefined();
+    expect(config({ backlog: { label: false } }).resolveStatus("Backlog").label).toBeUndefined();
+  });
+});
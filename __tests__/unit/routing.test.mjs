@@ -0,0 +1,82 @@
+import { ConfigManager } from "../../src/handlers/jira-webhook.mjs";
+
+const env = (routing) => ({ GITHUB_OWNER: "acme", GITHUB_REPO: "main", ROUTING_RULES_JSON: JSON.stringify(routing) });
+const issue = (key, fields = {}) => ({ key, fields });
+
+describe("ConfigManager.parseTarget", () => {
+  const config = new ConfigManager({});
+
+  test("accepts owner/repo strings and objects", () => {
+    expect(config.parseTarget(" acme / api ")).toEqual({ owner: "acme", repo: "api" });
+    expect(config.parseTarget({ repo: "acme/web" })).toEqual({ owner: "acme", repo: "web" });
+    expect(config.parseTarget({ owner: "acme", repo: "docs" })).toEqual({ owner: "acme", repo: "docs" });
+  });
+
+  test("rejects incomplete targets", () => {
+    expect(config.parseTarget("acme")).toBeNull();
+    expect(config.parseTarget({ owner: "acme" })).toBeNull();
+    expect(config.parseTarget(null)).toBeNull();
+  });
+});
+
+describe("ConfigManager.matchesRoute", () => {
+  const config = new ConfigManager({});
+
+  test("matches the project from the issue key when the project field is missing", async () => {
+    expect(await config.matchesRoute({ project: "pay" }, issue("PAY-1"))).toBe(true);
+    expect(await config.matchesRoute({ project: "PAY" }, issue("PAY-1", { project: { key: "WEB" } }))).toBe(false);
+  });
+
+  test("matches components, issue types and labels when any value overlaps", async () => {
+    const fields = { components: [{ name: "Backend" }, { name: "API" }], issuetype: { name: "Bug" }, labels: ["urgent"] };
+
+    expect(await config.matchesRoute({ components: ["api", "Web"] }, issue("ABC-1", fields))).toBe(true);
+    expect(await config.matchesRoute({ issueTypes: "bug" }, issue("ABC-1", fields))).toBe(true);
+    expect(await config.matchesRoute({ labels: ["URGENT"] }, issue("ABC-1", fields))).toBe(true);
+    expect(await config.matchesRoute({ components: "Web" }, issue("ABC-1", fields))).toBe(false);
+  });
+
+  test("requires every matcher of a rule to pass", async () => {
+    const fields = { components: [{ name: "API" }], labels: [] };
+    expect(await config.matchesRoute({ components: "API", labels: "urgent" }, issue("ABC-1", fields))).toBe(false);
+  });
+
+  test("matches custom field values by id or by name through the field mapper", async () => {
+    const fields = { customfield_10: { value: "Payments" }, customfield_11: [{ name: "Team A" }, { name: "Team B" }] };
+    const fieldMapper = { resolveFieldNames: async ([name]) => [name === "Team" ? "customfield_11" : null] };
+    const mapped = new ConfigManager({}, fieldMapper);
+
+    expect(await config.matchesRoute({ field: { id: "customfield_10", value: "payments" } }, issue("ABC-1", fields))).toBe(true);
+    expect(await mapped.matchesRoute({ field: { name: "Team", value: ["Team B"] } }, issue("ABC-1", fields))).toBe(true);
+    expect(await mapped.matchesRoute({ field: { name: "Unknown", value: "x" } }, issue("ABC-1", fields))).toBe(false);
+    // Field names cannot be resolved without a field mapper
+    expect(await config.matchesRoute({ field: { name: "Team", value: "Team A" } }, issue("ABC-1", fields))).toBe(false);
+  });
+});
+
+describe("ConfigManager.resolveTarget", () => {
+  const rules = [
+    { match: { labels: ["mobile"] }, target: "acme/mobile" },
+    { match: { project: "PAY" }, target: { owner: "acme", repo: "payments" } },
+    { match: { project: "PAY", labels: ["mobile"] }, target: "acme/never" },
+  ];
+
+  test("uses the first matching rule", async () => {
+    const config = new ConfigManager(env(rules));
+    expect(await config.resolveTarget(issue("PAY-1", { labels: ["mobile"] }))).toEqual({ owner: "acme", repo: "mobile" });
+    expect(await config.resolveTarget(issue("PAY-2", { labels: [] }))).toEqual({ owner: "acme", repo: "payments" });
+  });
+
+  test("falls back to the routing default, then GITHUB_OWNER/GITHUB_REPO", async () => {
+    expect(await new ConfigManager(env({ rules, default: "acme/triage" })).resolveTarget(issue("WEB-1"))).toEqual({
+      owner: "acme",
+      repo: "triage",
+    });
+    expect(await new ConfigManager(env(rules)).resolveTarget(issue("WEB-1"))).toEqual({ owner: "acme", repo: "main" });
+  });
+
+  test("skips rules without a valid target", async () => {
+    const config = new ConfigManager(env([{ match: { project: "WEB" }, target: "broken" }, { match: { project: "WEB" }, target: "acme/web" }]));
+    expect(await config.resolveTarget(issue("WEB-1"))).toEqual({ owner: "acme", repo: "web" });
+  });
+});
@@ -0,0 +1,20 @@
+import { wikiToMarkdown } from "../../src/handlers/jira-webhook.mjs";
+import { loadFixtures } from "../fixtures/load-fixtures.mjs";
+
+const fixtures = loadFixtures("wiki");
+
+describe("wikiToMarkdown", () => {
+  test.each(fixtures)("$name: $description", ({ wiki, markdown }) => {
+    expect(wikiToMarkdown(wiki)).toBe(markdown);
+  });
+
+  test("returns empty string for missing input", () => {
+    expect(wikiToMarkdown("")).toBe("");
+    expect(wikiToMarkdown(null)).toBe("");
+  });
+
+  test("maps Server usernames to GitHub handles", () => {
+    const resolveUser = ({ name }) => ({ usernames: name === "jdoe" ? ["jane-gh"] : [], isMapped: name === "jdoe" });
+    expect(wikiToMarkdown("cc [~jdoe] and [~other]", { resolveUser })).toBe("cc @jane-gh and other");
+  });
+});
@@ -0,0 +1,472 @@
+import crypto from "crypto";
+import {
+  GITHUB_COMMENT_PROPERTY,
+  ConfigManager,
+  IssueMappingStore,
+  JiraClient,
+  createGitHubClient,
+  createJiraFieldMapper,
+  hasGitHubCredentials,
+  safeParseJSON,
+  splitSyncedRegion,
+  timingSafeEqualStr,
+} from "./jira-webhook.mjs";
+
+
+// Matches the "KEY: Summary" title prefix written by IssueSyncHandler.createIssue
+const JIRA_KEY_TITLE_PATTERN = /^([A-Z][A-Z0-9_]+-\d+):/;
+
+// Checkbox in the task list rendered under the "Acceptance Criteria" section
+const TASK_ITEM_PATTERN = /^\s*- \[([ xX])\] (.*)$/;
+
+// Done marker for acceptance criteria that are plain list items rather than Jira task items
+const DONE_PREFIX = "[x] ";
+const DONE_PREFIX_PATTERN = /^\[[ xX]\]\s*/;
+
+
+/**
+ * Extract Jira key from a synced GitHub issue title
+ */
+function extractJiraKey(title) {
+  const match = String(title || "").match(JIRA_KEY_TITLE_PATTERN);
+  return match ? match[1] : null;
+}
+
+/**
+ * Resolve the Jira key (and mapping, if stored) linked to a GitHub issue
+ * Uses the mapping table first and falls back to the title prefix
+ */
+async function resolveJiraLink(mappingStore, repository, ghIssue) {
+  const owner = repository?.owner?.login;
+  const repo = repository?.name;
+  const mapping = await mappingStore.getByIssue(owner, repo, ghIssue.number);
+  if (mapping?.jiraKey) return { jiraKey: mapping.jiraKey, mapping };
+
+  return { jiraKey: extractJiraKey(ghIssue.title), mapping: null };
+}
+
+/**
+ * Check whether a webhook was caused by the Jira -> GitHub sync itself (sender is the token user or App bot)
+ */
+async function isSyncEvent(config, ghPayload) {
+  if (!hasGitHubCredentials(config) || config.githubEndpoints.error) return false;
+
+  const syncLogin = await createGitHubClient(config).getSyncLogin();
+  const sender = ghPayload.sender?.login;
+  return !!(syncLogin && sender && sender.toLowerCase() === syncLogin.toLowerCase());
+}
+
+/**
+ * Build Jira comment body for a GitHub comment, attributed to its author
+ * ADF for Jira Cloud, wiki markup for Server / Data Center
+ */
+function buildJiraCommentBody(ghComment, flavor = "cloud") {
+  const login = ghComment.user?.login || "unknown";
+  if (flavor === "server") return buildWikiCommentBody(ghComment, login);
+
+  const attribution = {
+    type: "paragraph",
+    content: [
+      { type: "text", text: `Comment by @${login} on GitHub`, marks: [{ type: "strong" }] },
+    ],
+  };
+  if (ghComment.html_url) {
+    attribution.content.push(
+      { type: "text", text: " (" },
+      { type: "text", text: "view", marks: [{ type: "link", attrs: { href: ghComment.html_url } }] },
+      { type: "text", text: ")" }
+    );
+  }
+
+  // One paragraph per blank-line separated block, single newlines become hard breaks
+  const paragraphs = String(ghComment.body || "")
+    .replace(/\r\n/g, "\n")
+    .split(/\n{2,}/)
+    .map((block) => block.trim())
+    .filter(Boolean)
+    .map((block) => ({
+      type: "paragraph",
+      content: block.split("\n").flatMap((line, i) => {
+        const nodes = i > 0 ? [{ type: "hardBreak" }] : [];
+        return line ? [...nodes, { type: "text", text: line }] : nodes;
+      }),
+    }));
+
+  if (!paragraphs.length) {
+    paragraphs.push({ type: "paragraph", content: [{ type: "text", text: "No content" }] });
+  }
+
+  return { type: "doc", version: 1, content: [attribution, ...paragraphs] };
+}
+
+/**
+ * Wiki markup comment body; GitHub text is wrapped in {noformat} so it is not re-interpreted as markup
+ */
+function buildWikiCommentBody(ghComment, login) {
+  const link = ghComment.html_url ? ` ([view|${ghComment.html_url}])` : "";
+  const text = String(ghComment.body || "").replace(/\r\n/g, "\n").replace(/\{noformat\}/g, "{ noformat}").trim();
+  return `*Comment by @${login} on GitHub*${link}\n\n${text ? `{noformat}\n${text}\n{noformat}` : "No content"}`;
+}
+
+/**
+ * Find the Jira comment mirrored from a GitHub comment
+ */
+async function findMirroredComment(jiraClient, jiraKey, githubCommentId) {
+  const comments = await jiraClient.listComments(jiraKey);
+  return (
+    comments.find((c) =>
+      (c.properties || []).some(
+        (p) => p.key === GITHUB_COMMENT_PROPERTY && String(p.value?.githubCommentId) === String(githubCommentId)
+      )
+    ) || null
+  );
+}
+
+/**
+ * Transition Jira issue when the GitHub issue is closed or reopened
+ * Skipped when the current Jira status already maps to the new GitHub state (see STATUS_MAP_JSON)
+ */
+async function syncIssueState(jiraClient, config, jiraKey, action, stateReason = null) {
+  const { doneStatus, reopenedStatus, notPlannedStatus } = config.jira;
+  const notPlanned = action === "closed" && stateReason === "not_planned";
+  if (notPlanned && !notPlannedStatus) {
+    console.log(`${jiraKey}: GitHub issue closed as not planned and JIRA_NOT_PLANNED_STATUS is not set`);
+    return "Closed as not planned; Jira left unchanged";
+  }
+
+  const current = await jiraClient.getIssue(jiraKey, ["status"]);
+  if (!current) return "Jira issue not found";
+
+  const state = action === "closed" ? "closed" : "open";
+  const currentStatus = current.fields?.status;
+  if (config.resolveStatus(currentStatus).state === state) {
+    console.log(`${jiraKey} status "${currentStatus?.name}" already maps to ${state}`);
+    return `Jira status already ${state}`;
+  }
+
+  let targetStatus = action === "closed" ? doneStatus : reopenedStatus;
+  if (notPlanned) targetStatus = notPlannedStatus;
+  const result = await jiraClient.transitionIssue(jiraKey, targetStatus, current);
+  return result.transitioned ? "Jira issue transitioned" : result.reason;
+}
+
+/**
+ * Mirror GitHub issue comment (created, edited, deleted) to Jira
+ */
+async function syncIssueComment(jiraClient, jiraKey, action, ghComment) {
+  // Comments posted by the Jira -> GitHub sync carry this marker
+  if (String(ghComment.body || "").includes("<!-- jira-comment-id:")) {
+    console.log(`Skipping GitHub comment ${ghComment.id} synced from Jira`);
+    return "Comment originated from Jira";
+  }
+
+  const existing = ["edited", "deleted"].includes(action)
+    ? await findMirroredComment(jiraClient, jiraKey, ghComment.id)
+    : null;
+
+  if (action === "deleted") {
+    if (!existing) return "No mirrored Jira comment found";
+    const deleted = await jiraClient.deleteComment(jiraKey, existing.id);
+    console.log(`Deleted Jira comment ${existing.id} on ${jiraKey}`);
+    return deleted ? "Jira comment deleted" : "Failed to delete Jira comment";
+  }
+
+  const body = buildJiraCommentBody(ghComment, jiraClient.flavor);
+
+  if (existing) {
+    const updated = await jiraClient.updateComment(jiraKey, existing.id, body);
+    console.log(`Updated Jira comment ${existing.id} on ${jiraKey}`);
+    return updated ? "Jira comment updated" : "Failed to update Jira comment";
+  }
+
+  const created = await jiraClient.addComment(jiraKey, body, [
+    {
+      key: GITHUB_COMMENT_PROPERTY,
+      value: { githubCommentId: ghComment.id, githubUrl: ghComment.html_url || null },
+    },
+  ]);
+  console.log(`Created Jira comment ${created?.id} on ${jiraKey} from GitHub comment ${ghComment.id}`);
+  return "Jira comment created";
+}
+
+/**
+ * Read the acceptance criteria checkboxes ({ text, checked }) from a synced GitHub issue body
+ */
+function parseAcceptanceCriteria(body) {
+  const lines = splitSyncedRegion(body).region.replace(/\r\n/g, "\n").split("\n");
+  // Plain line in the default layout, possibly a Markdown heading in custom templates
+  const start = lines.findIndex((line) => /^(#{1,6}\s+)?Acceptance Criteria$/.test(line.trim()));
+  if (start === -1) return [];
+
+  // The section ends at the next heading (any name in custom templates) or the end of the synced region
+  const items = [];
+  for (const line of lines.slice(start + 1)) {
+    if (/^#{1,6}\s/.test(line.trim()) || /^(Linked Issues|Custom Fields)$/.test(line.trim())) break;
+    const match = line.match(TASK_ITEM_PATTERN);
+    if (match) items.push({ text: match[2].trim(), checked: match[1] !== " " });
+  }
+  return items;
+}
+
+/**
+ * Checkbox changes ({ index, checked }) between two versions of the acceptance criteria
+ * Returns null when items were added, removed or reworded, since positions no longer line up with Jira
+ */
+function diffAcceptanceCriteria(before, after) {
+  if (before.length !== after.length) return null;
+  if (before.some((item, i) => item.text !== after[i].text)) return null;
+
+  return after
+    .map((item, index) => ({ index, checked: item.checked }))
+    .filter(({ index, checked }) => before[index].checked !== checked);
+}
+
+/**
+ * Apply checkbox changes to an ADF acceptance criteria field
+ * Task items get state DONE/TODO, plain list items a "[x] " prefix; returns false when the list no longer matches
+ */
+function applyAdfCheckboxes(doc, changes, itemCount) {
+  // Same order as the rendered task list: depth-first, nested items after their parent
+  const items = [];
+  const walk = (node) => {
+    if (!node || typeof node !== "object") return;
+    if (["taskItem", "listItem", "decisionItem"].includes(node.type)) items.push(node);
+    (node.content || []).forEach(walk);
+  };
+  walk(doc);
+  if (items.length !== itemCount) return false;
+
+  let changed = false;
+  for (const { index, checked } of changes) {
+    const item = items[index];
+    if (item.type === "taskItem") {
+      const state = checked ? "DONE" : "TODO";
+      if (item.attrs?.state !== state) {
+        item.attrs = { ...item.attrs, state };
+        changed = true;
+      }
+    } else if (item.type === "listItem") {
+      // The prefix must open the line, so items starting with a mention, emoji or link get their own text node
+      const inline = item.content?.[0]?.content;
+      if (!Array.isArray(inline)) continue;
+      if (inline[0]?.type !== "text") {
+        if (checked) {
+          inline.unshift({ type: "text", text: DONE_PREFIX });
+          changed = true;
+        }
+        continue;
+      }
+
+      const textNode = inline[0];
+      const text = `${checked ? DONE_PREFIX : ""}${textNode.text.replace(DONE_PREFIX_PATTERN, "")}`;
+      if (textNode.text !== text) {
+        // ADF rejects empty text nodes
+        if (text) textNode.text = text;
+        else inline.shift();
+        changed = true;
+      }
+    }
+  }
+  return changed;
+}
+
+/**
+ * Apply checkbox changes to a plain-text (wiki markup) acceptance criteria field with "[x] " prefixed lines
+ * Returns the new text, the unchanged text when nothing differs, or null when the list no longer matches
+ */
+function applyTextCheckboxes(text, changes, itemCount) {
+  const lines = String(text).split("\n");
+  const itemLines = [];
+  let inBlock = false;
+
+  lines.forEach((line, i) => {
+    // List-like lines inside {code} / {noformat} are not rendered as items
+    const macros = (line.match(/\{(?:code|noformat)(?::[^}]*)?\}/g) || []).length;
+    if (macros % 2) inBlock = !inBlock;
+    if (!inBlock && !macros && /^\s*(?:[*#]+|-)\s+\S/.test(line)) itemLines.push(i);
+  });
+  if (itemLines.length !== itemCount) return null;
+
+  for (const { index, checked } of changes) {
+    const i = itemLines[index];
+    lines[i] = lines[i].replace(/^(\s*(?:[*#]+|-)\s+)(?:\[[ xX]\]\s*)?/, `$1${checked ? DONE_PREFIX : ""}`);
+  }
+  return lines.join("\n");
+}
+
+/**
+ * Write acceptance criteria checkboxes ticked or cleared on GitHub back to the Jira field
+ */
+async function syncAcceptanceCriteria(jiraClient, config, jiraKey, previousBody, body) {
+  const before = parseAcceptanceCriteria(previousBody);
+  const after = parseAcceptanceCriteria(body);
+  const changes = diffAcceptanceCriteria(before, after);
+  if (!changes) return "Acceptance criteria were edited, not only ticked";
+  if (!changes.length) return "No acceptance criteria changes";
+
+  const fieldId = await config.getAcceptanceCriteriaField();
+  if (!fieldId) {
+    console.info(`No acceptance criteria field configured, not writing back to ${jiraKey}`);
+    return "No acceptance criteria field configured";
+  }
+
+  const issue = await jiraClient.getIssue(jiraKey, [fieldId]);
+  const value = issue?.fields?.[fieldId];
+  if (!value) return "Acceptance criteria field is empty in Jira";
+
+  let nextValue = null;
+  if (typeof value === "string") {
+    const text = applyTextCheckboxes(value, changes, after.length);
+    nextValue = text !== null && text !== value ? text : null;
+    if (text === null) console.warn(`Acceptance criteria of ${jiraKey} no longer match the GitHub task list`);
+  } else {
+    const doc = structuredClone(value);
+    if (applyAdfCheckboxes(doc, changes, after.length)) nextValue = doc;
+  }
+
+  // Nothing to write when Jira already has these states (e.g. the edit came from the Jira -> GitHub sync)
+  if (nextValue === null) return "Acceptance criteria already up to date";
+
+  const updated = await jiraClient.updateIssueFields(jiraKey, { [fieldId]: nextValue });
+  console.log(`Updated ${changes.length} acceptance criteria checkbox(es) on ${jiraKey}`);
+  return updated ? "Jira acceptance criteria updated" : "Failed to update Jira acceptance criteria";
+}
+
+/**
+ * Validate GitHub webhook signature (X-Hub-Signature-256); without a secret every request is rejected
+ */
+function validateGitHubSignature(event, rawBody, secret) {
+  if (!secret) return false;
+
+  const headers = event.headers || {};
+  const lower = {};
+  for (const [k, v] of Object.entries(headers)) {
+    lower[k.toLowerCase()] = v;
+  }
+
+  const sigHeader = lower["x-hub-signature-256"];
+  if (!sigHeader || rawBody == null) return false;
+
+  const [algorithm, provided] = String(sigHeader).split("=");
+  if (algorithm !== "sha256" || !provided) return false;
+
+  const computed = crypto.createHmac("sha256", secret).update(rawBody, "utf8").digest("hex");
+  return timingSafeEqualStr(provided, computed);
+}
+
+/**
+ * Get GitHub event name from headers
+ */
+function getGitHubEvent(event) {
+  const headers = event.headers || {};
+  for (const [k, v] of Object.entries(headers)) {
+    if (k.toLowerCase() === "x-github-event") return v;
+  }
+  return null;
+}
+
+
+export const handler = async (event) => {
+  try {
+    console.log("Incoming GitHub webhook");
+
+    // Decode payload
+    const rawBody = event.isBase64Encoded ? Buffer.from(event.body || "", "base64").toString("utf8") : event.body || "";
+
+    const config = new ConfigManager(process.env, createJiraFieldMapper(process.env));
+
+    // This endpoint writes to Jira, so unsigned requests are never accepted
+    if (!config.github.webhookSecret) {
+      console.error("GITHUB_WEBHOOK_SECRET is not set; rejecting GitHub webhook");
+      return { statusCode: 401, body: JSON.stringify({ message: "Unauthorized" }) };
+    }
+
+    // Validate webhook signature
+    if (!validateGitHubSignature(event, rawBody, config.github.webhookSecret)) {
+      console.warn("Invalid GitHub webhook signature");
+      return { statusCode: 401, body: JSON.stringify({ message: "Unauthorized" }) };
+    }
+
+    // Parse payload
+    const ghPayload = safeParseJSON(rawBody);
+    if (!ghPayload) {
+      return { statusCode: 400, body: JSON.stringify({ message: "Invalid JSON payload" }) };
+    }
+
+    const githubEvent = getGitHubEvent(event);
+    const action = ghPayload.action;
+    const ghIssue = ghPayload.issue || {};
+
+    console.log(`Processing: ${githubEvent}.${action} for #${ghIssue.number}`);
+
+    if (githubEvent === "ping") {
+      return { statusCode: 200, body: JSON.stringify({ message: "pong" }) };
+    }
+
+    const isStateChange = githubEvent === "issues" && ["closed", "reopened"].includes(action);
+    const isComment = githubEvent === "issue_comment" && ["created", "edited", "deleted"].includes(action);
+    const isBodyEdit = githubEvent === "issues" && action === "edited" && ghPayload.changes?.body !== undefined;
+    if (!isStateChange && !isComment && !isBodyEdit) {
+      return { statusCode: 200, body: JSON.stringify({ message: `Ignored event: ${githubEvent}.${action}` }) };
+    }
+
+    // Pull requests are delivered as issues too
+    if (ghIssue.pull_request) {
+      return { statusCode: 200, body: JSON.stringify({ message: "Pull requests are not synced" }) };
+    }
+
+    // The sync's own writes come back as webhooks; applying them to Jira would undo Jira changes
+    if (await isSyncEvent(config, ghPayload)) {
+      console.info(`Skipping ${githubEvent}.${action} sent by the sync user ${ghPayload.sender.login}`);
+      return { statusCode: 200, body: JSON.stringify({ message: "Event caused by the sync" }) };
+    }
+
+    const mappingStore = new IssueMappingStore(config.storage.mappingTable);
+    const { jiraKey, mapping } = await resolveJiraLink(mappingStore, ghPayload.repository, ghIssue);
+    if (!jiraKey) {
+      console.info(`No Jira key linked to #${ghIssue.number}`);
+      return { statusCode: 200, body: JSON.stringify({ message: "Issue is not linked to Jira" }) };
+    }
+    if (mapping?.deletedAt) {
+      console.info(`Skipping #${ghIssue.number}: ${jiraKey} was deleted in Jira`);
+      return { statusCode: 200, body: JSON.stringify({ message: "Jira issue was deleted", jiraKey }) };
+    }
+    if (mapping?.unlinked) {
+      console.info(`Skipping #${ghIssue.number}: unlinked from ${jiraKey} (${mapping.unlinked.policy})`);
+      return { statusCode: 200, body: JSON.stringify({ message: "Issue is unlinked from Jira", jiraKey }) };
+    }
+
+    const { baseUrl, email, token, flavor } = config.jira;
+    const jiraClient = new JiraClient(baseUrl, email, token, flavor);
+    if (!jiraClient.isConfigured()) {
+      return { statusCode: 500, body: JSON.stringify({ message: "Missing Jira configuration" }) };
+    }
+
+    let message;
+    if (isStateChange) {
+      message = await syncIssueState(jiraClient, config, jiraKey, action, ghIssue.state_reason);
+    } else if (isBodyEdit) {
+      message = await syncAcceptanceCriteria(jiraClient, config, jiraKey, ghPayload.changes.body.from, ghIssue.body);
+    } else {
+      message = await syncIssueComment(jiraClient, jiraKey, action, ghPayload.comment || {});
+    }
+
+    return {
+      statusCode: 200,
+      body: JSON.stringify({
+        message,
+        issueNumber: ghIssue.number,
+        jiraKey,
+      }),
+    };
+  } catch (err) {
+    console.error("Unhandled error:", err);
+    return {
+      statusCode: 500,
+      body: JSON.stringify({
+        message: "Internal server error",
+        details: err.message,
+      }),
+    };
+  }
+};
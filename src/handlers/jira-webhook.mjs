@@ -1,15 +1,59 @@
+import fs from "fs";
+import path from "path";
+import http from "http";
 import https from "https";
+import tls from "tls";
 import crypto from "crypto";
+import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
+import {
+  BatchGetCommand,
+  DeleteCommand,
+  DynamoDBDocumentClient,
+  GetCommand,
+  PutCommand,
+  QueryCommand,
+  UpdateCommand,
+} from "@aws-sdk/lib-dynamodb";
+import { SQSClient, SendMessageCommand } from "@aws-sdk/client-sqs";
 
 
-const GITHUB_API = process.env.GITHUB_API_HOSTNAME || "api.github.com";
-const GITHUB_UPLOADS = process.env.GITHUB_UPLOADS_HOSTNAME || "uploads.github.com";
 const REQUEST_TIMEOUT = parseInt(process.env.REQUEST_TIMEOUT_MS || "30000", 10);
 const MAX_IMAGE_REDIRECTS = parseInt(process.env.MAX_IMAGE_REDIRECTS || "5", 10);
 const JIRA_IMAGE_RELEASE_TAG = process.env.JIRA_IMAGE_RELEASE_TAG || "jira-images";
+const GITHUB_MAX_RETRIES = parseInt(process.env.GITHUB_MAX_RETRIES || "4", 10);
+const GITHUB_RETRY_BASE_MS = parseInt(process.env.GITHUB_RETRY_BASE_MS || "500", 10);
+// Warn when fewer than this many GitHub API calls are left in the rate-limit window
+const GITHUB_RATE_LIMIT_WARN_THRESHOLD = parseInt(process.env.GITHUB_RATE_LIMIT_WARN_THRESHOLD || "100", 10);
+const GITHUB_MAX_RETRY_DELAY_MS = 60000;
+// Time kept free for the rest of the invocation when deciding whether a retry fits
+const LAMBDA_TIME_SAFETY_MARGIN_MS = 5000;
+
+// Jira comment property marking comments mirrored from GitHub (prevents sync loops)
+const GITHUB_COMMENT_PROPERTY = "github-sync";
+
+// Markers fencing the part of a GitHub issue body written by the sync; text outside them is never touched
+const SYNC_REGION_START = "<!-- jira-sync:start -->";
+const SYNC_REGION_END = "<!-- jira-sync:end -->";
 
 // Global cache for Jira field mappings (in-memory cache for Lambda warm starts)
 let JIRA_FIELD_MAP_CACHE = null;
+// Jira user behind the configured credentials
+let JIRA_MYSELF = null;
+// GitHub login the sync writes as (token user or App bot)
+let GITHUB_SYNC_LOGIN = null;
+
+// Shared AWS clients (reused across warm starts)
+let DYNAMO_DOC_CLIENT = null;
+let SQS_CLIENT = null;
+
+// Issue body / comment templates read from files (reused across warm starts)
+const TEMPLATE_FILES = new Map();
+
+// GitHub App installation tokens and ids (reused across warm starts)
+const GITHUB_APP_TOKENS = new Map();
+const GITHUB_APP_INSTALLATIONS = new Map();
+// Refresh installation tokens this long before they expire
+const GITHUB_APP_TOKEN_REFRESH_MS = 5 * 60 * 1000;
 
 
 /**
@@ -25,6 +69,81 @@ const safeParseJSON = (str) => {
   }
 };
 
+/**
+ * Wait before retrying a request
+ */
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Load the custom CA bundle for GitHub hosts (GITHUB_CA_BUNDLE PEM or GITHUB_CA_BUNDLE_PATH file)
+ * Added to Node's default roots so public hosts keep working
+ */
+const loadGitHubCaBundle = () => {
+  const inline = process.env.GITHUB_CA_BUNDLE;
+  const bundlePath = process.env.GITHUB_CA_BUNDLE_PATH;
+  if (!inline && !bundlePath) return null;
+
+  try {
+    const pem = inline ? inline.replace(/\\n/g, "\n") : fs.readFileSync(bundlePath, "utf8");
+    return [...tls.rootCertificates, pem];
+  } catch (err) {
+    console.warn(`Failed to load GitHub CA bundle: ${err.message}`);
+    return null;
+  }
+};
+
+const GITHUB_CA_BUNDLE = loadGitHubCaBundle();
+
+/**
+ * Resolve a path against a base URL, keeping the base path (GHES /api/v3, Jira Server context path)
+ */
+const joinUrl = (baseUrl, path) => new URL(`${baseUrl.pathname.replace(/\/$/, "")}${path}`, baseUrl);
+
+/**
+ * Strip the GitHub API base path from an absolute URL (e.g. Link headers) to get an API path
+ */
+const githubPath = (url, apiUrl) => {
+  const basePath = apiUrl.pathname.replace(/\/$/, "");
+  const pathname = basePath && url.pathname.startsWith(basePath) ? url.pathname.slice(basePath.length) : url.pathname;
+  return `${pathname}${url.search}`;
+};
+
+/**
+ * Transport and request options (protocol, host, port, CA) for a URL
+ * GitHub hosts (githubHosts) get the custom CA bundle
+ */
+const buildRequestTarget = (url, githubHosts = []) => {
+  const isGitHubHost = githubHosts.includes(url.host);
+  return {
+    transport: url.protocol === "http:" ? http : https,
+    options: {
+      hostname: url.hostname,
+      ...(url.port ? { port: url.port } : {}),
+      path: `${url.pathname}${url.search}`,
+      ...(GITHUB_CA_BUNDLE && isGitHubHost ? { ca: GITHUB_CA_BUNDLE } : {}),
+    },
+  };
+};
+
+/**
+ * Normalize JIRA_FLAVOR: "server" for Jira Server / Data Center, otherwise "cloud"
+ */
+const normalizeJiraFlavor = (value) =>
+  ["server", "datacenter", "data-center", "dc"].includes(String(value || "").trim().toLowerCase()) ? "server" : "cloud";
+
+/**
+ * Jira REST API base path: v3 (ADF bodies) on Cloud, v2 (wiki markup bodies) on Server / Data Center
+ */
+const jiraApiPath = (flavor) => (flavor === "server" ? "/rest/api/2" : "/rest/api/3");
+
+/**
+ * Jira credentials: email + API token (Basic) on Cloud, personal access token (Bearer) on Server / Data Center
+ */
+const hasJiraCredentials = (flavor, email, token) => !!token && (flavor === "server" || !!email);
+
+const jiraAuthHeader = (flavor, email, token) =>
+  flavor === "server" ? `Bearer ${token}` : `Basic ${Buffer.from(`${email}:${token}`).toString("base64")}`;
+
 /**
  * Timing-safe string comparison to prevent timing attacks
  */
@@ -36,42 +155,465 @@ const timingSafeEqualStr = (a, b) => {
 
 
 /**
- * Extract plain text from Jira ADF (Atlassian Document Format)
- * Handles nested structures 
+ * Convert Jira ADF (Atlassian Document Format) to GitHub Flavored Markdown
+ * Strings are Jira wiki markup (Server / Data Center bodies, Cloud webhook comments) and go through wikiToMarkdown
+ * options.resolveUser maps a Jira user ({ accountId, displayName }) to GitHub usernames
  */
-function extractText(adfNode) {
+function adfToMarkdown(adfNode, options = {}) {
   if (!adfNode) return "";
 
-  // Handle string nodes with wiki markup conversion
   if (typeof adfNode === "string") {
-    return adfNode.replace(
-      /!([^\|!]+)\|([^!]*)!/g,
-      (_, filename, params) => {
-        const alt = params.match(/alt="([^"]+)"/)?.[1] || filename;
-        return `![${alt}](${filename})`;
-      }
-    );
+    return wikiToMarkdown(adfNode, options);
   }
 
   if (Array.isArray(adfNode)) {
-    return adfNode.map(extractText).join("\n");
+    return adfNode.map((node) => adfToMarkdown(node, options)).join("\n");
+  }
+
+  return renderAdfBlock(adfNode, options).replace(/\n{3,}/g, "\n\n").trim();
+}
+
+// Placeholders for wiki fragments that are already converted
+const WIKI_TOKEN_PATTERN = /\u0000(\d+)\u0000/g;
+
+// Image embeds: !file.png!, !file.png|thumbnail! or !https://host/image!
+const WIKI_IMAGE_PATTERN = /!((?:https?:\/\/[^\s!|]+)|[^\s!|][^!|\n]*?\.(?:png|jpe?g|gif|bmp|svg|webp))(?:\|([^!\n]*))?!/gi;
+
+/**
+ * Convert Jira wiki markup to GitHub Flavored Markdown
+ * Covers headings, text effects, {code}, {noformat}, {quote}, {panel}, lists, tables, links, images and mentions
+ */
+function wikiToMarkdown(text, options = {}) {
+  if (!text) return "";
+
+  // Converted fragments are swapped for placeholders so later passes leave them alone
+  const tokens = [];
+  const stash = (value) => `\u0000${tokens.push(value) - 1}\u0000`;
+  const stashBlock = (value) => `\n\n${stash(value)}\n\n`;
+  // Link labels may hold nested placeholders
+  const restore = (value) => {
+    let result = value;
+    while (/\u0000\d+\u0000/.test(result)) {
+      result = result.replace(WIKI_TOKEN_PATTERN, (_, i) => tokens[Number(i)]);
+    }
+    return result;
+  };
+
+  const source = String(text)
+    .replace(/\r\n?/g, "\n")
+    .replace(/\u0000/g, "")
+    .replace(/\{code(?::([^}]*))?\}\n?([\s\S]*?)\n?\{code\}/g, (_, params = "", code) => {
+      const language = params.split("|").find((p) => p && !p.includes("=")) || "";
+      return stashBlock(renderCodeFence(code, language.trim()));
+    })
+    .replace(/\{noformat(?::[^}]*)?\}\n?([\s\S]*?)\n?\{noformat\}/g, (_, code) => stashBlock(renderCodeFence(code)))
+    .replace(/\{(quote|panel)(?::[^}]*)?\}([\s\S]*?)\{\1\}/g, (_, macro, inner) =>
+      stashBlock(
+        wikiToMarkdown(inner, options)
+          .split("\n")
+          .map((line) => (line ? `> ${line}` : ">"))
+          .join("\n")
+      )
+    )
+    .replace(/\{(?:color|anchor)(?::[^}]*)?\}/g, "")
+    .replace(/\{\{(.+?)\}\}/g, (_, code) => stash(`\`${code}\``))
+    .replace(WIKI_IMAGE_PATTERN, (_, file, params = "") => {
+      const alt = params.match(/alt="([^"]+)"/)?.[1] || file;
+      return stash(`![${alt}](${file})`);
+    })
+    .replace(/\[([^\[\]\n]+)\]/g, (match, inner) => {
+      const mention = inner.match(/^~(accountid:)?(.+)$/i);
+      if (mention) {
+        const ref = mention[2];
+        return stash(renderMention(mention[1] ? { accountId: ref } : { accountId: ref, displayName: ref, name: ref }, options));
+      }
+      // [^attachment.pdf] links an attachment that only exists in Jira
+      if (inner.startsWith("^")) return stash(escapeMarkdown(inner.slice(1)));
+
+      const [label, href] = inner.includes("|") ? inner.split("|") : [null, inner];
+      if (!/^(https?:|mailto:|ftp:|file:|#|\/)/i.test(href.trim())) return match;
+      return stash(`[${label ? formatWikiInline(label) : href.trim()}](${href.trim()})`);
+    });
+
+  const out = [];
+  let table = null;
+  const flushTable = () => {
+    const width = Math.max(...table.map((row) => row.cells.length));
+    const line = (cells) => `| ${Array.from({ length: width }, (_, i) => cells[i] || "").join(" | ")} |`;
+    // Markdown tables need a header row; Jira tables may not have one
+    const [first, ...rest] = table[0].header ? table : [{ cells: [] }, ...table];
+    out.push("", line(first.cells), line(Array(width).fill("---")), ...rest.map((row) => line(row.cells)), "");
+    table = null;
+  };
+
+  for (const line of source.split("\n")) {
+    const trimmed = line.trim();
+
+    if (trimmed.startsWith("|")) {
+      table = table || [];
+      table.push({
+        header: trimmed.startsWith("||"),
+        // Pipes inside cell content (links, monospace) would split the Markdown cell
+        cells: splitWikiTableRow(trimmed).map((cell) =>
+          restore(formatWikiInline(cell, { inTable: true })).replace(/\|/g, "\\|")
+        ),
+      });
+      continue;
+    }
+    if (table) flushTable();
+
+    let match;
+    if ((match = trimmed.match(/^h([1-6])\.\s*(.*)$/))) {
+      out.push(`${"#".repeat(Number(match[1]))} ${formatWikiInline(match[2])}`);
+    } else if ((match = trimmed.match(/^bq\.\s*(.*)$/))) {
+      out.push(`> ${formatWikiInline(match[1])}`);
+    } else if ((match = trimmed.match(/^([*#]+|-)\s+(.*)$/))) {
+      const markers = match[1];
+      // Nested items are indented under their parent's marker width
+      const indent = [...markers.slice(0, -1)].map((m) => (m === "#" ? "   " : "  ")).join("");
+      out.push(`${indent}${markers.endsWith("#") ? "1." : "-"} ${formatWikiInline(match[2])}`);
+    } else if (/^-{4,}$/.test(trimmed)) {
+      out.push("", "---", "");
+    } else {
+      out.push(formatWikiInline(line.trimEnd()));
+    }
+  }
+  if (table) flushTable();
+
+  return restore(out.join("\n")).replace(/\n{3,}/g, "\n\n").trim();
+}
+
+/**
+ * Fenced code block that is longer than any backtick run inside the code
+ */
+function renderCodeFence(code, language = "") {
+  const fence = "`".repeat(Math.max(3, ...(code.match(/`+/g) || []).map((m) => m.length + 1)));
+  return `${fence}${language}\n${code}\n${fence}`;
+}
+
+/**
+ * Split a wiki table row (||head||head|| or |cell|cell|) into cells
+ * Pipes inside [links] and {macros} do not start a new cell
+ */
+function splitWikiTableRow(row) {
+  const cells = [];
+  let cell = "";
+  let depth = 0;
+
+  for (let i = 0; i < row.length; i++) {
+    const ch = row[i];
+    if (ch === "[" || ch === "{") depth++;
+    if ((ch === "]" || ch === "}") && depth > 0) depth--;
+
+    if (ch === "|" && depth === 0) {
+      cells.push(cell.trim());
+      cell = "";
+      if (row[i + 1] === "|") i++;
+      continue;
+    }
+    cell += ch;
+  }
+  cells.push(cell.trim());
+
+  // Drop the empty strings before the leading pipe and after the trailing one
+  return cells.slice(1, row.endsWith("|") ? -1 : undefined);
+}
+
+/**
+ * Convert wiki text effects (*bold*, _italic_, -strike-, +ins+, ^sup^, ~sub~, ??cite??) and \\ line breaks
+ */
+function formatWikiInline(text, { inTable = false } = {}) {
+  // Super/subscript may sit inside a word (x^2^, H~2~O), the other effects may not
+  const effect = (src, mark, open, close = open, { inWord = false } = {}) => {
+    const m = mark.replace(/[.*+?^${}()|[\]\\-]/g, "\\$&");
+    const before = inWord ? `(^|[^${m}])` : `(^|[^\\w${m}])`;
+    const after = inWord ? `(?=$|[^${m}])` : `(?=$|[^\\w${m}])`;
+    // The text must start and end with something other than the mark, so ~~text~~ is not read as ~(~text~)~
+    const pattern = new RegExp(`${before}${m}(?=[^\\s${m}])([^\\n]*?[^\\s${m}])${m}${after}`, "g");
+    return src.replace(pattern, (_, lead, inner) => `${lead}${open}${inner}${close}`);
+  };
+
+  let result = String(text)
+    .replace(/(^|\s)---(?=\s|$)/g, "$1\u2014")
+    .replace(/(^|\s)--(?=\s|$)/g, "$1\u2013");
+  result = effect(result, "*", "**");
+  result = effect(result, "+", "<ins>", "</ins>");
+  result = effect(result, "^", "<sup>", "</sup>", { inWord: true });
+  result = effect(result, "~", "<sub>", "</sub>", { inWord: true });
+  // After subscript so the ~~ it produces is not read as subscript
+  result = effect(result, "-", "~~");
+  result = result.replace(/\?\?(.+?)\?\?/g, "_— $1_");
+  return result.replace(/\\\\/g, inTable ? "<br>" : "\n");
+}
+
+/**
+ * Render a Jira mention as GitHub @handles when mapped
+ * Unmapped users become a plain name so nobody on GitHub gets pinged by accident
+ */
+function renderMention(jiraUser, ctx) {
+  const userInfo = ctx.resolveUser ? ctx.resolveUser(jiraUser) : null;
+  if (userInfo?.isMapped && userInfo.usernames.length > 0) {
+    return userInfo.usernames.map((u) => `@${u}`).join(", ");
   }
 
-  const { type, text, content } = adfNode;
+  // Never expose the raw accountId
+  return escapeMarkdown(jiraUser.displayName || "someone");
+}
+
+// GitHub alert type for each ADF panel type
+const ADF_PANEL_ALERTS = {
+  info: "NOTE",
+  note: "NOTE",
+  success: "TIP",
+  warning: "WARNING",
+  error: "CAUTION",
+};
+
+/**
+ * Escape characters that GitHub Markdown would otherwise interpret
+ */
+function escapeMarkdown(text) {
+  return String(text)
+    .replace(/([\\`*\[\]])/g, "\\$1")
+    .replace(/(^|[^A-Za-z0-9])_|_(?=[^A-Za-z0-9]|$)/g, (match) => match.replace("_", "\\_"))
+    .replace(/</g, "&lt;");
+}
+
+/**
+ * Apply ADF marks (bold, italic, links, ...) to a text node
+ */
+function renderAdfText(node) {
+  const marks = node.marks || [];
+  const hasCode = marks.some((m) => m.type === "code");
+
+  // Keep surrounding whitespace outside of emphasis delimiters
+  const [, lead, core, trail] = String(node.text).match(/^(\s*)([\s\S]*?)(\s*)$/);
+  if (!core) return node.text;
+
+  let out = hasCode ? `\`${core.replace(/`/g, "'")}\`` : escapeMarkdown(core);
+  let href = null;
+
+  for (const mark of marks) {
+    switch (mark.type) {
+      case "em":
+        out = `_${out}_`;
+        break;
+      case "strong":
+        out = `**${out}**`;
+        break;
+      case "strike":
+        out = `~~${out}~~`;
+        break;
+      case "underline":
+        out = `<ins>${out}</ins>`;
+        break;
+      case "subsup":
+        out = mark.attrs?.type === "sup" ? `<sup>${out}</sup>` : `<sub>${out}</sub>`;
+        break;
+      case "link":
+        href = mark.attrs?.href;
+        break;
+      default:
+        // code is applied above; textColor, backgroundColor, annotation have no Markdown equivalent
+        break;
+    }
+  }
+
+  if (href) out = `[${out}](${href})`;
+  return `${lead}${out}${trail}`;
+}
+
+/**
+ * Render ADF media nodes as image references
+ * Attachment filenames are swapped for re-hosted URLs by buildIssueBody
+ */
+function renderAdfMedia(node) {
+  const attrs = node.attrs || {};
+  if (attrs.type === "external" && attrs.url) {
+    return `![${attrs.alt || "image"}](${attrs.url})`;
+  }
 
-  // Skip media nodes
-  if (["image", "media", "embed"].includes(type)) return "";
+  const filename = attrs.alt || attrs.__fileName;
+  return filename ? `![${filename}](${filename})` : "";
+}
 
-  // Return text content
-  if (text) return text;
+/**
+ * Render inline ADF nodes (content of paragraphs, headings, task items)
+ */
+function renderAdfInline(nodes, ctx) {
+  return (nodes || []).map((node) => renderAdfInlineNode(node, ctx)).join("");
+}
 
-  // Recursively process content
-  if (content) {
-    const separator = type === "paragraph" ? "" : "\n";
-    return content.map(extractText).join(separator);
+function renderAdfInlineNode(node, ctx) {
+  const attrs = node.attrs || {};
+
+  switch (node.type) {
+    case "text":
+      return renderAdfText(node);
+    case "hardBreak":
+      return ctx.inTable ? "<br>" : "\n";
+    case "mention":
+      return renderMention({ accountId: attrs.id, displayName: String(attrs.text || "").replace(/^@/, "").trim() }, ctx);
+    case "emoji":
+      return attrs.text || attrs.shortName || "";
+    case "date": {
+      const ts = Number(attrs.timestamp);
+      return Number.isFinite(ts) ? new Date(ts).toISOString().slice(0, 10) : "";
+    }
+    case "status":
+      return attrs.text ? `\`${attrs.text}\`` : "";
+    case "inlineCard":
+      return attrs.url ? `<${attrs.url}>` : "";
+    case "mediaInline":
+      return renderAdfMedia(node);
+    case "placeholder":
+    case "inlineExtension":
+      return "";
+    default:
+      if (node.text) return escapeMarkdown(node.text);
+      return renderAdfInline(node.content, ctx);
   }
+}
+
+/**
+ * Indent continuation lines of a list item under its marker
+ */
+function indentLines(text, indent) {
+  return text
+    .split("\n")
+    .map((line, i) => (i === 0 || !line ? line : `${indent}${line}`))
+    .join("\n");
+}
+
+/**
+ * Render list item content: nested lists stay tight, other blocks are separated by a blank line
+ */
+function renderAdfListItem(item, ctx) {
+  return (item.content || []).reduce((out, node) => {
+    const rendered = renderAdfBlock(node, ctx);
+    if (!rendered) return out;
+    if (!out) return rendered;
+    return `${out}${/List$/.test(node.type) ? "\n" : "\n\n"}${rendered}`;
+  }, "");
+}
 
-  return "";
+/**
+ * Render a list of ADF list items with the given marker function
+ */
+function renderAdfList(items, ctx, markerFor) {
+  return (items || [])
+    .map((item, i) => {
+      const marker = markerFor(item, i);
+      const body = item.type === "taskItem" || item.type === "decisionItem"
+        ? renderAdfInline(item.content, ctx)
+        : renderAdfListItem(item, ctx);
+      return `${marker}${indentLines(body, " ".repeat(marker.length))}`;
+    })
+    .join("\n");
+}
+
+/**
+ * Render ADF table as a GFM table
+ * GFM requires a header row, so the first row is always used as header
+ */
+function renderAdfTable(node, ctx) {
+  const rows = (node.content || []).map((row) =>
+    (row.content || []).map((cell) =>
+      renderAdfBlocks(cell.content, { ...ctx, inTable: true }, "<br>")
+        .replace(/\n/g, "<br>")
+        .replace(/\|/g, "\\|")
+        .trim()
+    )
+  );
+  if (!rows.length) return "";
+
+  const width = Math.max(...rows.map((r) => r.length));
+  const line = (cells) => `| ${Array.from({ length: width }, (_, i) => cells[i] || "").join(" | ")} |`;
+
+  return [line(rows[0]), line(Array(width).fill("---")), ...rows.slice(1).map(line)].join("\n");
+}
+
+/**
+ * Render a sequence of ADF block nodes
+ */
+function renderAdfBlocks(nodes, ctx, separator = "\n\n") {
+  return (nodes || [])
+    .map((node) => renderAdfBlock(node, ctx))
+    .filter((out) => out !== "")
+    .join(separator);
+}
+
+function renderAdfBlock(node, ctx) {
+  if (!node || typeof node !== "object") return "";
+  const attrs = node.attrs || {};
+
+  switch (node.type) {
+    case "doc":
+    case "layoutSection":
+    case "layoutColumn":
+    case "bodiedExtension":
+      return renderAdfBlocks(node.content, ctx);
+    case "paragraph":
+      return renderAdfInline(node.content, ctx);
+    case "heading": {
+      const level = Math.min(Math.max(parseInt(attrs.level, 10) || 1, 1), 6);
+      return `${"#".repeat(level)} ${renderAdfInline(node.content, ctx)}`;
+    }
+    case "bulletList":
+      return renderAdfList(node.content, ctx, () => "- ");
+    case "orderedList": {
+      const start = parseInt(attrs.order, 10) || 1;
+      return renderAdfList(node.content, ctx, (_, i) => `${start + i}. `);
+    }
+    case "taskList":
+      // Nested task lists appear as siblings of taskItem nodes
+      return (node.content || [])
+        .map((item) =>
+          item.type === "taskList"
+            ? indentLines(`  ${renderAdfBlock(item, ctx)}`, "  ")
+            : renderAdfList([item], ctx, (t) => (t.attrs?.state === "DONE" ? "- [x] " : "- [ ] "))
+        )
+        .join("\n");
+    case "decisionList":
+      return renderAdfList(node.content, ctx, () => "- **Decision:** ");
+    case "codeBlock": {
+      const code = (node.content || []).map((n) => n.text || "").join("");
+      return renderCodeFence(code, attrs.language || "");
+    }
+    case "blockquote":
+      return renderAdfBlocks(node.content, ctx)
+        .split("\n")
+        .map((line) => (line ? `> ${line}` : ">"))
+        .join("\n");
+    case "panel": {
+      const alert = ADF_PANEL_ALERTS[attrs.panelType] || "NOTE";
+      const body = renderAdfBlocks(node.content, ctx)
+        .split("\n")
+        .map((line) => (line ? `> ${line}` : ">"))
+        .join("\n");
+      return `> [!${alert}]\n${body}`;
+    }
+    case "rule":
+      return "---";
+    case "table":
+      return renderAdfTable(node, ctx);
+    case "mediaSingle":
+    case "mediaGroup":
+      return (node.content || []).map(renderAdfMedia).filter(Boolean).join("\n");
+    case "media":
+      return renderAdfMedia(node);
+    case "expand":
+    case "nestedExpand":
+      return `<details>\n<summary>${escapeMarkdown(attrs.title || "Details")}</summary>\n\n${renderAdfBlocks(node.content, ctx)}\n\n</details>`;
+    case "blockCard":
+    case "embedCard":
+      return attrs.url ? `<${attrs.url}>` : "";
+    case "extension":
+      return "";
+    default:
+      // Inline node at block level, or an unknown node with children
+      return renderAdfInlineNode(node, ctx);
+  }
 }
 
 /**
@@ -88,14 +630,333 @@ function extractStartDate(fields, customFieldId) {
 }
 
 
+/**
+ * Convert a Jira date or datetime into a GitHub due_on timestamp
+ */
+function toGitHubDueOn(value) {
+  if (!value) return null;
+  const date = new Date(/^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T00:00:00Z` : value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString().replace(/\.\d{3}Z$/, "Z");
+}
+
+/**
+ * Pick the fix version to use as milestone: first unreleased, else the first listed
+ */
+function pickFixVersion(fixVersions) {
+  const versions = (Array.isArray(fixVersions) ? fixVersions : []).filter((v) => v?.name);
+  if (!versions.length) return null;
+
+  const version = versions.find((v) => !v.released && !v.archived) || versions[0];
+  return {
+    title: version.name,
+    dueOn: toGitHubDueOn(version.releaseDate),
+    description: version.description || "",
+  };
+}
+
+/**
+ * Pick the active sprint (else the next future one) from a sprint field value
+ * Handles both sprint objects and the legacy "Sprint@...[id=1,state=ACTIVE,name=...]" strings
+ */
+function pickSprint(sprintValue) {
+  const sprints = (Array.isArray(sprintValue) ? sprintValue : [sprintValue])
+    .filter(Boolean)
+    .map((sprint) => {
+      if (typeof sprint !== "string") return sprint;
+      const attrs = {};
+      for (const [, key, value] of sprint.matchAll(/(\w+)=([^,\]]*)/g)) {
+        attrs[key] = value === "<null>" ? null : value;
+      }
+      return attrs;
+    })
+    .filter((sprint) => sprint.name);
+
+  const byState = (state) => sprints.find((sprint) => String(sprint.state).toLowerCase() === state);
+  const sprint = byState("active") || byState("future");
+  if (!sprint) return null;
+
+  return {
+    title: sprint.name,
+    dueOn: toGitHubDueOn(sprint.endDate),
+    description: sprint.goal || "",
+  };
+}
+
+/**
+ * Flatten a Jira field value (string, option, user, array) into comparable strings
+ */
+function jiraFieldValues(value) {
+  if (value === null || value === undefined) return [];
+  if (Array.isArray(value)) return value.flatMap(jiraFieldValues);
+  if (typeof value !== "object") return [String(value)];
+
+  const scalar = value.value ?? value.name ?? value.displayName ?? value.key;
+  return scalar !== undefined ? [String(scalar)] : [];
+}
+
+/**
+ * Split a GitHub issue body into the synced region and the developer-written text around it
+ * Bodies written before the markers existed are all synced content
+ */
+function splitSyncedRegion(body) {
+  const text = String(body || "");
+  const start = text.indexOf(SYNC_REGION_START);
+  const end = start === -1 ? -1 : text.indexOf(SYNC_REGION_END, start);
+  if (end === -1) return { before: "", region: text, after: "" };
+
+  return {
+    before: text.slice(0, start),
+    region: text.slice(start + SYNC_REGION_START.length, end).replace(/^\r?\n|\r?\n$/g, ""),
+    after: text.slice(end + SYNC_REGION_END.length),
+  };
+}
+
+/**
+ * Replace the synced region of a GitHub issue body, keeping the text around it
+ */
+function mergeSyncedRegion(body, region) {
+  const { before, after } = splitSyncedRegion(body);
+  return `${before}${SYNC_REGION_START}\n${region}\n${SYNC_REGION_END}${after}`;
+}
+
+/**
+ * Render a logic-less template against a view object
+ * {{name}} / {{a.b}} insert values, {{#name}}...{{/name}} renders for truthy values (once per item for arrays),
+ * {{^name}}...{{/name}} renders for falsy or empty values, {{.}} is the current item and {{! ... }} a comment
+ * Lines holding only a section tag or comment are dropped from the output
+ */
+function renderTemplate(template, view) {
+  const source = String(template || "").replace(/^[ \t]*(\{\{\s*[#^/!][^}]*\}\})[ \t]*\r?\n/gm, "$1");
+  return renderTemplateSection(source, [view]);
+}
+
+/**
+ * Resolve a dotted name against the section stack, innermost scope first
+ */
+function lookupTemplateValue(name, stack) {
+  if (name === ".") return stack[stack.length - 1];
+
+  const [head, ...rest] = name.split(".");
+  for (let i = stack.length - 1; i >= 0; i--) {
+    const scope = stack[i];
+    if (scope && typeof scope === "object" && head in scope) {
+      return rest.reduce((value, key) => (value == null ? undefined : value[key]), scope[head]);
+    }
+  }
+  return undefined;
+}
+
+function renderTemplateSection(source, stack) {
+  const tag = /\{\{\s*([#^/!]?)\s*([^}]*?)\s*\}\}/g;
+  let out = "";
+  let index = 0;
+  let match;
+
+  while ((match = tag.exec(source))) {
+    out += source.slice(index, match.index);
+    index = tag.lastIndex;
+    const [, kind, name] = match;
+    if (kind === "!" || kind === "/") continue;
+
+    if (kind === "#" || kind === "^") {
+      const close = findTemplateSectionEnd(source, name, index);
+      if (!close) {
+        console.warn(`Template section "${name}" is not closed`);
+        continue;
+      }
+      const inner = source.slice(index, close.start);
+      index = tag.lastIndex = close.end;
+
+      const value = lookupTemplateValue(name, stack);
+      const isEmpty = !value || (Array.isArray(value) && !value.length);
+      if (kind === "^") {
+        if (isEmpty) out += renderTemplateSection(inner, stack);
+      } else if (!isEmpty) {
+        const items = Array.isArray(value) ? value : [value];
+        out += items.map((item) => renderTemplateSection(inner, [...stack, item])).join("");
+      }
+      continue;
+    }
+
+    const value = lookupTemplateValue(name, stack);
+    out += value === null || value === undefined ? "" : String(value);
+  }
+
+  return out + source.slice(index);
+}
+
+/**
+ * Find the {{/name}} closing a section, skipping nested sections of the same name
+ */
+function findTemplateSectionEnd(source, name, from) {
+  const tag = /\{\{\s*([#^/])\s*([^}]*?)\s*\}\}/g;
+  tag.lastIndex = from;
+  let depth = 1;
+  let match;
+
+  while ((match = tag.exec(source))) {
+    if (match[2] !== name) continue;
+    if (match[1] !== "/") {
+      depth++;
+    } else if (--depth === 0) {
+      return { start: match.index, end: tag.lastIndex };
+    }
+  }
+  return null;
+}
+
+/**
+ * Load a template from an inline value (\n escapes allowed) or a file bundled with the function
+ * Relative paths resolve against the function root; returns null when unset or unreadable
+ */
+function loadTemplate(inline, file) {
+  if (inline) return inline.replace(/\\n/g, "\n");
+  if (!file) return null;
+
+  const fullPath = path.resolve(process.env.LAMBDA_TASK_ROOT || process.cwd(), file);
+  if (!TEMPLATE_FILES.has(fullPath)) {
+    try {
+      TEMPLATE_FILES.set(fullPath, fs.readFileSync(fullPath, "utf8"));
+    } catch (err) {
+      console.warn(`Failed to load template ${file}: ${err.message}`);
+      return null;
+    }
+  }
+  return TEMPLATE_FILES.get(fullPath);
+}
+
+// Default issue body layout; the view is built by IssueSyncHandler.buildIssueBody
+const DEFAULT_ISSUE_BODY_TEMPLATE = `- Jira: {{jiraKey}}
+- Jira Link: {{jiraLink}}
+{{#parent}}
+- Parent: {{key}} - {{summary}}
+{{/parent}}
+- Status: {{status}}
+- Due Date: {{dueDate}}
+{{#startDate}}
+- Start Date: {{startDate}}
+{{/startDate}}
+- Priority: {{priority}}
+{{#assignee}}
+{{#mapped}}
+- Assignee: {{handles}}
+{{/mapped}}
+{{^mapped}}
+- Jira Assignee: {{displayName}}
+{{#email}}
+- Assignee Email: {{email}}
+{{/email}}
+
+Note: Jira assignee not mapped to GitHub user. Add to USER_MAP_JSON.
+{{/mapped}}
+{{/assignee}}
+
+Description
+
+{{description}}
+{{#acceptanceCriteria}}
+
+Acceptance Criteria
+
+{{acceptanceCriteria}}
+{{/acceptanceCriteria}}
+{{#hasLinkedIssues}}
+
+Linked Issues
+{{#linkedIssues}}
+- {{relation}}: {{refs}}
+{{/linkedIssues}}
+{{/hasLinkedIssues}}
+{{#hasCustomFields}}
+
+Custom Fields
+{{#customFields}}
+- {{name}}: {{value}}
+{{/customFields}}
+{{/hasCustomFields}}
+`;
+
+// Default attribution for comments mirrored from Jira; the view is built by IssueSyncHandler.syncComment
+const DEFAULT_COMMENT_TEMPLATE = `{{#author.mapped}}
+**Comment by {{author.handles}}** ({{author.displayName}} in Jira)
+
+{{body}}
+{{/author.mapped}}
+{{^author.mapped}}
+**Comment by {{author.displayName}}**{{#author.email}} ({{author.email}}){{/author.email}} in Jira
+
+{{body}}
+
+---
+_Note: This Jira user is not mapped to a GitHub contributor._
+{{/author.mapped}}
+_Posted: {{created}}_
+`;
+
+// "## Acceptance Criteria", "**Acceptance Criteria:**" or "Acceptance Criteria:" on its own line
+const ACCEPTANCE_CRITERIA_HEADING = /^(#{1,6}\s+)?(?:\*\*)?Acceptance Criteria:?(?:\*\*)?:?$/i;
+
+/**
+ * Split the acceptance criteria section out of a Markdown description
+ * A heading section runs to the next heading of the same or higher level, a label section to the next blank line
+ */
+function splitAcceptanceCriteria(markdown) {
+  const lines = String(markdown || "").split("\n");
+  const start = lines.findIndex((line) => ACCEPTANCE_CRITERIA_HEADING.test(line.trim()));
+  if (start === -1) return { description: markdown, criteria: "" };
+
+  const level = (lines[start].trim().match(/^#+/) || [""])[0].length;
+  let end = start + 1;
+  let hasContent = false;
+  for (; end < lines.length; end++) {
+    const heading = lines[end].match(/^(#{1,6})\s/);
+    if (heading && (!level || heading[1].length <= level)) break;
+    if (!level && hasContent && !lines[end].trim()) break;
+    hasContent = hasContent || !!lines[end].trim();
+  }
+
+  return {
+    description: [...lines.slice(0, start), ...lines.slice(end)].join("\n").replace(/\n{3,}/g, "\n\n").trim(),
+    criteria: lines.slice(start + 1, end).join("\n").trim(),
+  };
+}
+
+/**
+ * Render Markdown list items as a GitHub task list
+ * Bullets, numbered items and task items become checkboxes (done ones stay ticked); other lines are kept
+ */
+function toTaskList(markdown) {
+  const indents = [];
+  let inFence = false;
+
+  return String(markdown || "")
+    .split("\n")
+    .map((line) => {
+      if (/^\s*(```|~~~)/.test(line)) inFence = !inFence;
+      // "[x] " typed into a Jira list item (escaped when it came from ADF) keeps the box ticked
+      const item = !inFence && line.match(/^(\s*)(?:[-*+]|\d+[.)])\s+(?:\\?\[([ xX])\\?\]\s+)?(.*)$/);
+      if (!item) return line;
+
+      // Re-indent by nesting depth, since "1. " and "- [ ] " markers differ in width
+      const indent = item[1].length;
+      while (indents.length && indents[indents.length - 1] >= indent) indents.pop();
+      indents.push(indent);
+      const checked = item[2] && item[2] !== " ";
+      return `${"  ".repeat(indents.length - 1)}- [${checked ? "x" : " "}] ${item[3]}`;
+    })
+    .join("\n");
+}
+
+
 /**
  * Jira Field Mapper - Fetches and caches field mappings from Jira API
  */
 class JiraFieldMapper {
-  constructor(jiraBaseUrl, email, token) {
+  constructor(jiraBaseUrl, email, token, flavor = "cloud") {
     this.jiraBaseUrl = jiraBaseUrl;
     this.email = email;
     this.token = token;
+    this.flavor = flavor;
     this.fieldMap = JIRA_FIELD_MAP_CACHE; // Use global cache
   }
 
@@ -108,23 +969,23 @@ class JiraFieldMapper {
       return this.fieldMap;
     }
 
-    if (!this.jiraBaseUrl || !this.email || !this.token) {
+    if (!this.jiraBaseUrl || !hasJiraCredentials(this.flavor, this.email, this.token)) {
       console.warn('Jira credentials not provided, cannot fetch field map');
       return {};
     }
 
     try {
-      const auth = Buffer.from(`${this.email}:${this.token}`).toString('base64');
-      const url = new URL(this.jiraBaseUrl);
+      const { transport, options: target } = buildRequestTarget(
+        joinUrl(new URL(this.jiraBaseUrl), `${jiraApiPath(this.flavor)}/field`)
+      );
 
       const result = await new Promise((resolve, reject) => {
-        const req = https.request(
+        const req = transport.request(
           {
-            hostname: url.hostname,
-            path: '/rest/api/3/field',
+            ...target,
             method: 'GET',
             headers: {
-              Authorization: `Basic ${auth}`,
+              Authorization: jiraAuthHeader(this.flavor, this.email, this.token),
               Accept: 'application/json',
               'User-Agent': 'jira-webhook',
             },
@@ -221,72 +1082,530 @@ class JiraFieldMapper {
 }
 
 
-class GitHubClient {
-  constructor(token) {
+/**
+ * Jira Client - Minimal REST client for writing back to Jira
+ */
+class JiraClient {
+  constructor(jiraBaseUrl, email, token, flavor = "cloud") {
+    this.jiraBaseUrl = jiraBaseUrl;
+    this.email = email;
     this.token = token;
+    // "cloud" (REST v3, ADF) or "server" (Server / Data Center: REST v2, wiki markup)
+    this.flavor = flavor;
+    this.apiPath = jiraApiPath(flavor);
   }
 
   /**
-   * Build standard GitHub API headers
+   * Check that base URL and credentials are present
    */
-  buildHeaders(includeContentType = false) {
-    const headers = {
-      Authorization: `token ${this.token}`,
-      "User-Agent": "jira-webhook",
-      Accept: "application/vnd.github+json",
-    };
-    if (includeContentType) {
-      headers["Content-Type"] = "application/json";
-    }
-    return headers;
+  isConfigured() {
+    return !!this.jiraBaseUrl && hasJiraCredentials(this.flavor, this.email, this.token);
   }
 
   /**
-   * Make an HTTPS request to GitHub API
+   * Make a request to the Jira REST API (path relative to the base URL)
    */
-  async request(options, payload = null) {
+  async request(method, path, payload = null) {
+    const { transport, options: target } = buildRequestTarget(joinUrl(new URL(this.jiraBaseUrl), path));
+    const body = payload ? JSON.stringify(payload) : null;
+
     return new Promise((resolve, reject) => {
-      const req = https.request(options, (res) => {
-        let data = "";
-        res.on("data", (chunk) => (data += chunk));
-        res.on("end", () =>
-          resolve({
-            statusCode: res.statusCode,
-            body: data,
-            headers: res.headers || {},
-          })
-        );
-        res.on("error", reject);
-      });
+      const headers = {
+        Authorization: jiraAuthHeader(this.flavor, this.email, this.token),
+        Accept: "application/json",
+        "User-Agent": "jira-webhook",
+      };
+      if (body) headers["Content-Type"] = "application/json";
+
+      const req = transport.request(
+        {
+          ...target,
+          method,
+          headers,
+        },
+        (res) => {
+          let data = "";
+          res.on("data", (chunk) => (data += chunk));
+          res.on("end", () =>
+            resolve({
+              statusCode: res.statusCode,
+              body: data,
+            })
+          );
+          res.on("error", reject);
+        }
+      );
 
       req.on("error", reject);
       req.setTimeout(REQUEST_TIMEOUT, () => {
         req.destroy();
-        reject(new Error("Request timeout"));
+        reject(new Error("Jira request timeout"));
       });
 
-      if (payload) req.write(Buffer.isBuffer(payload) ? payload : String(payload));
+      if (body) req.write(body);
       req.end();
     });
   }
 
   /**
-   * Validate that a GitHub resource exists
+   * Get Jira issue with the requested fields
    */
-  async validateResource(path) {
-    try {
-      const resp = await this.request({
-        hostname: GITHUB_API,
-        path,
-        method: "GET",
-        headers: this.buildHeaders(),
-      });
-      return resp.statusCode >= 200 && resp.statusCode < 300;
-    } catch (err) {
-      console.warn(`Error validating resource ${path}:`, err.message);
-      return false;
-    }
-  }
+  async getIssue(jiraKey, fields = []) {
+    const query = fields.length ? `?fields=${encodeURIComponent(fields.join(","))}` : "";
+    const resp = await this.request("GET", `${this.apiPath}/issue/${encodeURIComponent(jiraKey)}${query}`);
+
+    if (resp.statusCode >= 200 && resp.statusCode < 300) {
+      return safeParseJSON(resp.body);
+    }
+    console.warn(`Failed to get Jira issue ${jiraKey}: ${resp.statusCode}`);
+    return null;
+  }
+
+  /**
+   * Update issue fields
+   */
+  async updateIssueFields(jiraKey, fields) {
+    const resp = await this.request("PUT", `${this.apiPath}/issue/${encodeURIComponent(jiraKey)}`, { fields });
+
+    if (resp.statusCode >= 200 && resp.statusCode < 300) return true;
+    console.warn(`Failed to update Jira issue ${jiraKey}: ${resp.statusCode} ${resp.body}`);
+    return false;
+  }
+
+  /**
+   * Get the Jira user the client authenticates as (cached across warm starts)
+   */
+  async getMyself() {
+    if (JIRA_MYSELF) return JIRA_MYSELF;
+
+    const resp = await this.request("GET", `${this.apiPath}/myself`);
+    if (resp.statusCode >= 200 && resp.statusCode < 300) {
+      JIRA_MYSELF = safeParseJSON(resp.body) || null;
+      return JIRA_MYSELF;
+    }
+    console.warn(`Failed to get the current Jira user: ${resp.statusCode}`);
+    return null;
+  }
+
+  /**
+   * Search issues by JQL (paginated)
+   */
+  async searchIssues(jql, fields = []) {
+    if (this.flavor === "server") return this.searchIssuesByOffset(jql, fields);
+
+    const issues = [];
+    let nextPageToken;
+
+    while (true) {
+      const resp = await this.request("POST", `${this.apiPath}/search/jql`, {
+        jql,
+        fields,
+        maxResults: 100,
+        ...(nextPageToken ? { nextPageToken } : {}),
+      });
+
+      if (resp.statusCode < 200 || resp.statusCode >= 300) {
+        console.warn(`Jira search failed (${jql}): ${resp.statusCode}`);
+        break;
+      }
+
+      const { issues: page = [], nextPageToken: next } = safeParseJSON(resp.body) || {};
+      issues.push(...page);
+      if (!page.length || !next) break;
+      nextPageToken = next;
+    }
+
+    return issues;
+  }
+
+  /**
+   * Search issues by JQL with startAt paging (Server / Data Center has no /search/jql)
+   */
+  async searchIssuesByOffset(jql, fields = []) {
+    const issues = [];
+    let startAt = 0;
+
+    while (true) {
+      const resp = await this.request("POST", `${this.apiPath}/search`, { jql, fields, startAt, maxResults: 100 });
+
+      if (resp.statusCode < 200 || resp.statusCode >= 300) {
+        console.warn(`Jira search failed (${jql}): ${resp.statusCode}`);
+        break;
+      }
+
+      const { issues: page = [], total = 0 } = safeParseJSON(resp.body) || {};
+      issues.push(...page);
+      startAt += page.length;
+      if (!page.length || startAt >= total) break;
+    }
+
+    return issues;
+  }
+
+  /**
+   * List transitions available from the issue's current status
+   */
+  async getTransitions(jiraKey) {
+    const resp = await this.request("GET", `${this.apiPath}/issue/${encodeURIComponent(jiraKey)}/transitions`);
+
+    if (resp.statusCode >= 200 && resp.statusCode < 300) {
+      const { transitions = [] } = safeParseJSON(resp.body) || {};
+      return transitions;
+    }
+    console.warn(`Failed to list transitions for ${jiraKey}: ${resp.statusCode}`);
+    return [];
+  }
+
+  /**
+   * Move a Jira issue to the given status name via the transitions API
+   */
+  async transitionIssue(jiraKey, statusName, current = null) {
+    current = current || (await this.getIssue(jiraKey, ["status"]));
+    if (!current) return { transitioned: false, reason: "Jira issue not found" };
+
+    const currentStatus = current.fields?.status?.name || "";
+    if (currentStatus.toLowerCase() === statusName.toLowerCase()) {
+      console.log(`${jiraKey} already in status "${currentStatus}"`);
+      return { transitioned: false, reason: "Already in target status" };
+    }
+
+    const target = statusName.toLowerCase();
+    const transitions = await this.getTransitions(jiraKey);
+    const transition =
+      transitions.find((t) => t.to?.name?.toLowerCase() === target) ||
+      transitions.find((t) => t.name?.toLowerCase() === target);
+
+    if (!transition) {
+      console.warn(`No transition from "${currentStatus}" to "${statusName}" for ${jiraKey}`);
+      return { transitioned: false, reason: `No transition to ${statusName}` };
+    }
+
+    const resp = await this.request("POST", `${this.apiPath}/issue/${encodeURIComponent(jiraKey)}/transitions`, {
+      transition: { id: transition.id },
+    });
+
+    if (resp.statusCode < 200 || resp.statusCode >= 300) {
+      throw new Error(`Failed to transition ${jiraKey}: ${resp.statusCode} ${resp.body}`);
+    }
+
+    console.log(`Transitioned ${jiraKey} from "${currentStatus}" to "${statusName}"`);
+    return { transitioned: true, from: currentStatus, to: statusName };
+  }
+
+  /**
+   * Add comment (ADF body on Cloud, wiki markup string on Server) with optional entity properties
+   */
+  async addComment(jiraKey, body, properties = []) {
+    const payload = { body };
+    if (properties.length) payload.properties = properties;
+
+    const resp = await this.request("POST", `${this.apiPath}/issue/${encodeURIComponent(jiraKey)}/comment`, payload);
+
+    if (resp.statusCode < 200 || resp.statusCode >= 300) {
+      throw new Error(`Failed to add comment to ${jiraKey}: ${resp.statusCode} ${resp.body}`);
+    }
+    return safeParseJSON(resp.body);
+  }
+
+  /**
+   * Update comment body
+   */
+  async updateComment(jiraKey, commentId, body) {
+    const resp = await this.request(
+      "PUT",
+      `${this.apiPath}/issue/${encodeURIComponent(jiraKey)}/comment/${encodeURIComponent(commentId)}`,
+      { body }
+    );
+
+    return resp.statusCode >= 200 && resp.statusCode < 300;
+  }
+
+  /**
+   * Delete comment
+   */
+  async deleteComment(jiraKey, commentId) {
+    const resp = await this.request(
+      "DELETE",
+      `${this.apiPath}/issue/${encodeURIComponent(jiraKey)}/comment/${encodeURIComponent(commentId)}`
+    );
+
+    return resp.statusCode >= 200 && resp.statusCode < 300;
+  }
+
+  /**
+   * List all comments of an issue, including entity properties
+   */
+  async listComments(jiraKey) {
+    const comments = [];
+    let startAt = 0;
+
+    while (true) {
+      const resp = await this.request(
+        "GET",
+        `${this.apiPath}/issue/${encodeURIComponent(jiraKey)}/comment?startAt=${startAt}&maxResults=100&expand=properties`
+      );
+
+      if (resp.statusCode < 200 || resp.statusCode >= 300) {
+        console.warn(`Failed to list comments for ${jiraKey}: ${resp.statusCode}`);
+        break;
+      }
+
+      const { comments: page = [], total = 0 } = safeParseJSON(resp.body) || {};
+      comments.push(...page);
+      startAt += page.length;
+      if (!page.length || startAt >= total) break;
+    }
+
+    return comments;
+  }
+
+  /**
+   * Get a comment entity property value, or null if it is not set
+   */
+  async getCommentProperty(commentId, propertyKey) {
+    const resp = await this.request(
+      "GET",
+      `${this.apiPath}/comment/${encodeURIComponent(commentId)}/properties/${encodeURIComponent(propertyKey)}`
+    );
+
+    if (resp.statusCode >= 200 && resp.statusCode < 300) {
+      return safeParseJSON(resp.body)?.value ?? null;
+    }
+    return null;
+  }
+}
+
+
+class GitHubClient {
+  constructor(token, lambdaContext = null, appAuth = null, defaultRepo = {}, endpoints = {}) {
+    this.token = token;
+    // { api, uploads, graphql } base URLs from ConfigManager.githubEndpoints
+    this.endpoints = endpoints;
+    // Lambda context, used to keep retries within the remaining invocation time
+    this.lambdaContext = lambdaContext;
+    this.rateLimit = null;
+    // GitHub App auth picks an installation token per target repo; the PAT is the fallback
+    this.appAuth = appAuth?.isConfigured() ? appAuth : null;
+    this.defaultRepo = defaultRepo;
+  }
+
+  /**
+   * Find the owner/repo a request targets (repo paths, or repo: in search queries)
+   */
+  getTargetRepo(path) {
+    const repoPath = String(path).match(/^\/repos\/([^/]+)\/([^/?]+)/);
+    if (repoPath) return { owner: repoPath[1], repo: repoPath[2] };
+
+    const query = String(path).match(/[?&]q=([^&]+)/);
+    const repoQualifier = query ? decodeURIComponent(query[1]).match(/repo:([^/\s]+)\/(\S+)/) : null;
+    if (repoQualifier) return { owner: repoQualifier[1], repo: repoQualifier[2] };
+
+    return this.defaultRepo;
+  }
+
+  /**
+   * Set the Authorization header for the request's target repo
+   */
+  async authorize(options) {
+    if (!this.appAuth) return options;
+
+    const { owner, repo } = this.getTargetRepo(options.path);
+    const token = await this.appAuth.getToken(owner, repo);
+    return { ...options, headers: { ...options.headers, Authorization: `token ${token}` } };
+  }
+
+  /**
+   * Hosts that get the custom CA bundle (GITHUB_CA_BUNDLE)
+   */
+  githubHosts() {
+    return [this.endpoints.api?.host, this.endpoints.uploads?.host].filter(Boolean);
+  }
+
+  /**
+   * Build standard GitHub API headers
+   */
+  buildHeaders(includeContentType = false) {
+    const headers = {
+      Authorization: `token ${this.token}`,
+      "User-Agent": "jira-webhook",
+      Accept: "application/vnd.github+json",
+    };
+    if (includeContentType) {
+      headers["Content-Type"] = "application/json";
+    }
+    return headers;
+  }
+
+  /**
+   * Make an HTTPS request to GitHub API
+   * Retries rate limits with jittered exponential backoff; network errors and 5xx only for idempotent
+   * methods, since a POST that timed out may already have created the issue or comment
+   */
+  async request(options, payload = null) {
+    for (let attempt = 0; ; attempt++) {
+      let resp = null;
+      let error = null;
+      try {
+        resp = await this.send(await this.authorize(options), payload);
+        this.trackRateLimit(resp, options.path);
+      } catch (err) {
+        error = err;
+      }
+
+      const delay = attempt < GITHUB_MAX_RETRIES ? this.getRetryDelay(resp, error, attempt, options.method) : null;
+      const remaining = this.lambdaContext?.getRemainingTimeInMillis?.();
+      const fitsInTime = delay <= GITHUB_MAX_RETRY_DELAY_MS
+        && (remaining === undefined || remaining - delay > LAMBDA_TIME_SAFETY_MARGIN_MS);
+
+      if (delay === null || !fitsInTime) {
+        if (delay !== null) {
+          console.warn(
+            `Not retrying ${options.method} ${options.path}: needs ${delay}ms, ${remaining ?? "unknown"}ms of Lambda time left`
+          );
+        }
+        if (error) throw error;
+        return resp;
+      }
+
+      console.warn(
+        `Retrying ${options.method} ${options.path} in ${delay}ms (attempt ${attempt + 1}/${GITHUB_MAX_RETRIES}):`,
+        error ? error.message : resp.statusCode
+      );
+      await sleep(delay);
+    }
+  }
+
+  /**
+   * Decide whether a response/error is retryable; returns the delay in ms, or null to stop
+   */
+  getRetryDelay(resp, error, attempt, method = "GET") {
+    const backoff = Math.round(GITHUB_RETRY_BASE_MS * 2 ** attempt * (0.5 + Math.random() / 2));
+    const idempotent = String(method).toUpperCase() !== "POST";
+    if (error) return idempotent ? backoff : null;
+
+    const { statusCode, headers = {}, body = "" } = resp;
+    if (statusCode >= 500) return idempotent ? backoff : null;
+    if (statusCode !== 403 && statusCode !== 429) return null;
+
+    // Secondary rate limit: honour Retry-After when given
+    const retryAfter = parseInt(headers["retry-after"], 10);
+    if (Number.isFinite(retryAfter)) return retryAfter * 1000;
+
+    // Primary rate limit exhausted: wait for the window to reset
+    if (headers["x-ratelimit-remaining"] === "0") {
+      const resetMs = parseInt(headers["x-ratelimit-reset"], 10) * 1000 - Date.now();
+      return Number.isFinite(resetMs) ? Math.max(resetMs, 0) + 1000 : null;
+    }
+
+    if (statusCode === 429 || /secondary rate limit/i.test(body)) return backoff;
+    return null;
+  }
+
+  /**
+   * Record rate-limit headers and warn when the remaining quota runs low
+   */
+  trackRateLimit(resp, path) {
+    const headers = resp.headers || {};
+    if (headers["x-ratelimit-remaining"] === undefined) return;
+
+    this.rateLimit = {
+      limit: parseInt(headers["x-ratelimit-limit"], 10),
+      remaining: parseInt(headers["x-ratelimit-remaining"], 10),
+      reset: parseInt(headers["x-ratelimit-reset"], 10),
+      resource: headers["x-ratelimit-resource"] || "core",
+    };
+
+    if (this.rateLimit.remaining < GITHUB_RATE_LIMIT_WARN_THRESHOLD) {
+      console.warn(
+        JSON.stringify({
+          message: "GitHub rate limit running low",
+          ...this.rateLimit,
+          resetAt: new Date(this.rateLimit.reset * 1000).toISOString(),
+          path,
+        })
+      );
+    }
+  }
+
+  /**
+   * Send a single request; options.path is relative to options.baseUrl (default the API URL)
+   */
+  async send(options, payload = null) {
+    const { baseUrl = this.endpoints.api, ...requestOptions } = options;
+    const { transport, options: target } = buildRequestTarget(joinUrl(baseUrl, options.path), this.githubHosts());
+
+    return new Promise((resolve, reject) => {
+      const req = transport.request({ ...requestOptions, ...target }, (res) => {
+        let data = "";
+        res.on("data", (chunk) => (data += chunk));
+        res.on("end", () =>
+          resolve({
+            statusCode: res.statusCode,
+            body: data,
+            headers: res.headers || {},
+          })
+        );
+        res.on("error", reject);
+      });
+
+      req.on("error", reject);
+      req.setTimeout(REQUEST_TIMEOUT, () => {
+        req.destroy();
+        reject(new Error("Request timeout"));
+      });
+
+      if (payload) req.write(Buffer.isBuffer(payload) ? payload : String(payload));
+      req.end();
+    });
+  }
+
+  /**
+   * Fetch every page of a list endpoint (per_page=100), following Link rel="next"
+   * Stops early once `until` matches an item; returns null if any page fails
+   */
+  async paginate(path, { until } = {}) {
+    const items = [];
+    let nextPath = /[?&]per_page=/.test(path) ? path : `${path}${path.includes("?") ? "&" : "?"}per_page=100`;
+
+    while (nextPath) {
+      const resp = await this.request({
+        path: nextPath,
+        method: "GET",
+        headers: this.buildHeaders(),
+      });
+
+      if (resp.statusCode < 200 || resp.statusCode >= 300) {
+        console.warn(`Failed to list ${nextPath}: ${resp.statusCode}`);
+        return null;
+      }
+
+      const page = safeParseJSON(resp.body) || [];
+      items.push(...page);
+      if (until && page.some(until)) break;
+
+      const next = String(resp.headers?.link || "").match(/<([^>]+)>;\s*rel="next"/);
+      nextPath = next ? githubPath(new URL(next[1]), this.endpoints.api) : null;
+    }
+
+    return items;
+  }
+
+  /**
+   * Validate that a GitHub resource exists
+   */
+  async validateResource(path) {
+    try {
+      const resp = await this.request({
+        path,
+        method: "GET",
+        headers: this.buildHeaders(),
+      });
+      return resp.statusCode >= 200 && resp.statusCode < 300;
+    } catch (err) {
+      console.warn(`Error validating resource ${path}:`, err.message);
+      return false;
+    }
+  }
 
   /**
    * Validate GitHub username
@@ -308,7 +1627,6 @@ class GitHubClient {
       // Search in title
       const titleQuery = encodeURIComponent(`repo:${owner}/${repo} "${jiraKey}:" in:title is:issue`);
       const titleResp = await this.request({
-        hostname: GITHUB_API,
         path: `/search/issues?q=${titleQuery}`,
         method: "GET",
         headers: this.buildHeaders(),
@@ -326,7 +1644,6 @@ class GitHubClient {
       // Fallback: search in body
       const bodyQuery = encodeURIComponent(`repo:${owner}/${repo} "Jira: ${jiraKey}" in:body is:issue`);
       const bodyResp = await this.request({
-        hostname: GITHUB_API,
         path: `/search/issues?q=${bodyQuery}`,
         method: "GET",
         headers: this.buildHeaders(),
@@ -354,7 +1671,6 @@ class GitHubClient {
   async createIssue(owner, repo, issueData) {
     const resp = await this.request(
       {
-        hostname: GITHUB_API,
         path: `/repos/${owner}/${repo}/issues`,
         method: "POST",
         headers: this.buildHeaders(true),
@@ -375,7 +1691,6 @@ class GitHubClient {
   async createComment(owner, repo, issueNumber, body) {
     const resp = await this.request(
       {
-        hostname: GITHUB_API,
         path: `/repos/${owner}/${repo}/issues/${issueNumber}/comments`,
         method: "POST",
         headers: this.buildHeaders(true),
@@ -383,24 +1698,18 @@ class GitHubClient {
       JSON.stringify({ body })
     );
 
-    return resp.statusCode >= 200 && resp.statusCode < 300;
+    if (resp.statusCode >= 200 && resp.statusCode < 300) {
+      return safeParseJSON(resp.body) || {};
+    }
+    console.warn(`Failed to create comment on #${issueNumber}: ${resp.statusCode}`);
+    return null;
   }
 
   /**
    * List GitHub issue comments
    */
   async listComments(owner, repo, issueNumber) {
-    const resp = await this.request({
-      hostname: GITHUB_API,
-      path: `/repos/${owner}/${repo}/issues/${issueNumber}/comments`,
-      method: "GET",
-      headers: this.buildHeaders(false),
-    });
-
-    if (resp.statusCode >= 200 && resp.statusCode < 300) {
-      return safeParseJSON(resp.body) || [];
-    }
-    return [];
+    return (await this.paginate(`/repos/${owner}/${repo}/issues/${issueNumber}/comments`)) || [];
   }
 
   /**
@@ -409,7 +1718,6 @@ class GitHubClient {
   async updateComment(owner, repo, commentId, body) {
     const resp = await this.request(
       {
-        hostname: GITHUB_API,
         path: `/repos/${owner}/${repo}/issues/comments/${commentId}`,
         method: "PATCH",
         headers: this.buildHeaders(true),
@@ -421,12 +1729,40 @@ class GitHubClient {
   }
 
   /**
-   * Update GitHub issue
+   * Get GitHub comment
    */
-  async updateIssue(owner, repo, issueNumber, updates) {
-    const resp = await this.request(
-      {
-        hostname: GITHUB_API,
+  async getComment(owner, repo, commentId) {
+    const resp = await this.request({
+      path: `/repos/${owner}/${repo}/issues/comments/${commentId}`,
+      method: "GET",
+      headers: this.buildHeaders(),
+    });
+
+    if (resp.statusCode >= 200 && resp.statusCode < 300) {
+      return safeParseJSON(resp.body);
+    }
+    return null;
+  }
+
+  /**
+   * Delete GitHub comment (already deleted counts as success)
+   */
+  async deleteComment(owner, repo, commentId) {
+    const resp = await this.request({
+      path: `/repos/${owner}/${repo}/issues/comments/${commentId}`,
+      method: "DELETE",
+      headers: this.buildHeaders(),
+    });
+
+    return (resp.statusCode >= 200 && resp.statusCode < 300) || resp.statusCode === 404;
+  }
+
+  /**
+   * Update GitHub issue
+   */
+  async updateIssue(owner, repo, issueNumber, updates) {
+    const resp = await this.request(
+      {
         path: `/repos/${owner}/${repo}/issues/${issueNumber}`,
         method: "PATCH",
         headers: this.buildHeaders(true),
@@ -442,7 +1778,6 @@ class GitHubClient {
    */
   async getIssue(owner, repo, issueNumber) {
     const resp = await this.request({
-      hostname: GITHUB_API,
       path: `/repos/${owner}/${repo}/issues/${issueNumber}`,
       method: "GET",
       headers: this.buildHeaders(),
@@ -454,13 +1789,191 @@ class GitHubClient {
     return null;
   }
 
+  /**
+   * Login GitHub reports as the sender of the sync's own writes: the App bot, else the token's user
+   * Cached across warm starts
+   */
+  async getSyncLogin() {
+    if (GITHUB_SYNC_LOGIN) return GITHUB_SYNC_LOGIN;
+
+    if (this.appAuth) {
+      GITHUB_SYNC_LOGIN = await this.appAuth.getBotLogin();
+      return GITHUB_SYNC_LOGIN;
+    }
+
+    const resp = await this.request({ path: "/user", method: "GET", headers: this.buildHeaders() });
+    if (resp.statusCode >= 200 && resp.statusCode < 300) {
+      GITHUB_SYNC_LOGIN = safeParseJSON(resp.body)?.login || null;
+      return GITHUB_SYNC_LOGIN;
+    }
+    console.warn(`Failed to get the authenticated GitHub user: ${resp.statusCode}`);
+    return null;
+  }
+
+  /**
+   * Run a GraphQL query; returns data, or null on HTTP/GraphQL errors
+   */
+  async graphql(query, variables = {}) {
+    const resp = await this.request(
+      {
+        baseUrl: this.endpoints.graphql,
+        path: "/graphql",
+        method: "POST",
+        headers: this.buildHeaders(true),
+      },
+      JSON.stringify({ query, variables })
+    );
+
+    const result = safeParseJSON(resp.body) || {};
+    if (resp.statusCode < 200 || resp.statusCode >= 300 || result.errors?.length) {
+      const details = result.errors?.map((e) => e.message).join("; ") || resp.body;
+      console.warn(`GitHub GraphQL request failed: ${resp.statusCode} ${details}`);
+      return null;
+    }
+    return result.data;
+  }
+
+  /**
+   * Lock issue conversation
+   */
+  async lockIssue(owner, repo, issueNumber, lockReason = "resolved") {
+    const resp = await this.request(
+      {
+        path: `/repos/${owner}/${repo}/issues/${issueNumber}/lock`,
+        method: "PUT",
+        headers: this.buildHeaders(true),
+      },
+      JSON.stringify({ lock_reason: lockReason })
+    );
+
+    return resp.statusCode >= 200 && resp.statusCode < 300;
+  }
+
+  /**
+   * Add labels to an issue, keeping existing ones
+   */
+  async addLabels(owner, repo, issueNumber, labels) {
+    const resp = await this.request(
+      {
+        path: `/repos/${owner}/${repo}/issues/${issueNumber}/labels`,
+        method: "POST",
+        headers: this.buildHeaders(true),
+      },
+      JSON.stringify({ labels })
+    );
+
+    return resp.statusCode >= 200 && resp.statusCode < 300;
+  }
+
+  /**
+   * Remove a label from an issue (missing labels count as removed)
+   */
+  async removeLabel(owner, repo, issueNumber, labelName) {
+    const resp = await this.request({
+      path: `/repos/${owner}/${repo}/issues/${issueNumber}/labels/${encodeURIComponent(labelName)}`,
+      method: "DELETE",
+      headers: this.buildHeaders(),
+    });
+
+    return (resp.statusCode >= 200 && resp.statusCode < 300) || resp.statusCode === 404;
+  }
+
+  /**
+   * Find milestone by title (open or closed)
+   */
+  async findMilestone(owner, repo, title) {
+    const matches = (m) => m.title === title;
+    const milestones = await this.paginate(`/repos/${owner}/${repo}/milestones?state=all`, { until: matches });
+    return milestones?.find(matches) || null;
+  }
+
+  /**
+   * Create milestone
+   */
+  async createMilestone(owner, repo, milestoneData) {
+    const resp = await this.request(
+      {
+        path: `/repos/${owner}/${repo}/milestones`,
+        method: "POST",
+        headers: this.buildHeaders(true),
+      },
+      JSON.stringify(milestoneData)
+    );
+
+    if (resp.statusCode >= 200 && resp.statusCode < 300) {
+      console.log(`Created milestone: ${milestoneData.title}`);
+      return safeParseJSON(resp.body);
+    }
+    console.warn(`Failed to create milestone ${milestoneData.title}: ${resp.statusCode} ${resp.body}`);
+    return null;
+  }
+
+  /**
+   * Update milestone (e.g. close it)
+   */
+  async updateMilestone(owner, repo, milestoneNumber, updates) {
+    const resp = await this.request(
+      {
+        path: `/repos/${owner}/${repo}/milestones/${milestoneNumber}`,
+        method: "PATCH",
+        headers: this.buildHeaders(true),
+      },
+      JSON.stringify(updates)
+    );
+
+    return resp.statusCode >= 200 && resp.statusCode < 300;
+  }
+
+  /**
+   * Find release by tag name, including drafts (which the tag endpoint does not return)
+   * Returns null only when the full list came back without the tag; throws if the list could not be read
+   */
+  async findRelease(owner, repo, tagName) {
+    const matches = (r) => r.tag_name === tagName;
+    const releases = await this.paginate(`/repos/${owner}/${repo}/releases`, { until: matches });
+    if (!releases) throw new Error(`Could not list releases of ${owner}/${repo}`);
+    return releases.find(matches) || null;
+  }
+
+  /**
+   * Create release, or update an existing draft with the same tag
+   */
+  async upsertDraftRelease(owner, repo, releaseData) {
+    let existing;
+    try {
+      existing = await this.findRelease(owner, repo, releaseData.tag_name);
+    } catch (err) {
+      // Creating without knowing would duplicate the draft
+      console.warn(`Failed to save draft release ${releaseData.tag_name}: ${err.message}`);
+      return null;
+    }
+    if (existing && !existing.draft) {
+      console.log(`Release ${releaseData.tag_name} already published, leaving it untouched`);
+      return existing;
+    }
+
+    const resp = await this.request(
+      {
+        path: existing ? `/repos/${owner}/${repo}/releases/${existing.id}` : `/repos/${owner}/${repo}/releases`,
+        method: existing ? "PATCH" : "POST",
+        headers: this.buildHeaders(true),
+      },
+      JSON.stringify({ ...releaseData, draft: true })
+    );
+
+    if (resp.statusCode >= 200 && resp.statusCode < 300) {
+      return safeParseJSON(resp.body);
+    }
+    console.warn(`Failed to save draft release ${releaseData.tag_name}: ${resp.statusCode} ${resp.body}`);
+    return null;
+  }
+
   /**
    * Check if a label exists in the repository
    */
   async labelExists(owner, repo, labelName) {
     try {
       const resp = await this.request({
-        hostname: GITHUB_API,
         path: `/repos/${owner}/${repo}/labels/${encodeURIComponent(labelName)}`,
         method: "GET",
         headers: this.buildHeaders(),
@@ -479,7 +1992,6 @@ class GitHubClient {
     try {
       const resp = await this.request(
         {
-          hostname: GITHUB_API,
           path: `/repos/${owner}/${repo}/labels`,
           method: "POST",
           headers: this.buildHeaders(true),
@@ -529,44 +2041,303 @@ class GitHubClient {
 
 
 
+/**
+ * GitHub App authentication - signs app JWTs and exchanges them for installation tokens
+ * Installation ids and tokens are cached per owner / installation until shortly before expiry
+ */
+class GitHubAppAuth {
+  constructor(appId, privateKey, installationId = null, apiUrl = null) {
+    this.appId = appId;
+    this.privateKey = privateKey;
+    this.installationId = installationId;
+    this.apiUrl = apiUrl;
+  }
+
+  isConfigured() {
+    return !!(this.appId && this.privateKey);
+  }
+
+  /**
+   * Create an RS256 app JWT (valid 9 minutes, backdated for clock drift)
+   */
+  createJwt() {
+    const now = Math.floor(Date.now() / 1000);
+    const encode = (obj) => Buffer.from(JSON.stringify(obj)).toString("base64url");
+    const unsigned = `${encode({ alg: "RS256", typ: "JWT" })}.${encode({ iat: now - 60, exp: now + 540, iss: this.appId })}`;
+    const signature = crypto.createSign("RSA-SHA256").update(unsigned).sign(this.privateKey, "base64url");
+    return `${unsigned}.${signature}`;
+  }
+
+  /**
+   * Make an HTTPS request to the GitHub API authenticated as the app
+   */
+  async request(method, path) {
+    const { transport, options } = buildRequestTarget(joinUrl(this.apiUrl, path), [this.apiUrl.host]);
+
+    return new Promise((resolve, reject) => {
+      const req = transport.request(
+        {
+          ...options,
+          method,
+          headers: {
+            Authorization: `Bearer ${this.createJwt()}`,
+            "User-Agent": "jira-webhook",
+            Accept: "application/vnd.github+json",
+          },
+        },
+        (res) => {
+          let data = "";
+          res.on("data", (chunk) => (data += chunk));
+          res.on("end", () => resolve({ statusCode: res.statusCode, body: data }));
+          res.on("error", reject);
+        }
+      );
+
+      req.on("error", reject);
+      req.setTimeout(REQUEST_TIMEOUT, () => {
+        req.destroy();
+        reject(new Error("GitHub App request timeout"));
+      });
+      req.end();
+    });
+  }
+
+  /**
+   * Login of the app's bot user ("slug[bot]"), which GitHub reports as the sender of its writes
+   */
+  async getBotLogin() {
+    const resp = await this.request("GET", "/app");
+    if (resp.statusCode < 200 || resp.statusCode >= 300) {
+      console.warn(`Failed to get GitHub App: ${resp.statusCode}`);
+      return null;
+    }
+
+    const { slug } = safeParseJSON(resp.body) || {};
+    return slug ? `${slug}[bot]` : null;
+  }
+
+  /**
+   * Resolve installation id: configured id, else the installation on owner/repo
+   */
+  async getInstallationId(owner, repo) {
+    if (this.installationId) return this.installationId;
+
+    const cacheKey = String(owner).toLowerCase();
+    if (GITHUB_APP_INSTALLATIONS.has(cacheKey)) return GITHUB_APP_INSTALLATIONS.get(cacheKey);
+
+    const resp = await this.request("GET", `/repos/${owner}/${repo}/installation`);
+    if (resp.statusCode < 200 || resp.statusCode >= 300) {
+      throw new Error(`GitHub App is not installed on ${owner}/${repo}: ${resp.statusCode}`);
+    }
+
+    const { id } = safeParseJSON(resp.body) || {};
+    GITHUB_APP_INSTALLATIONS.set(cacheKey, id);
+    return id;
+  }
+
+  /**
+   * Get an installation token for owner/repo, reusing cached tokens until shortly before expiry
+   */
+  async getToken(owner, repo) {
+    const installationId = await this.getInstallationId(owner, repo);
+    const cached = GITHUB_APP_TOKENS.get(installationId);
+    if (cached && cached.expiresAt - Date.now() > GITHUB_APP_TOKEN_REFRESH_MS) return cached.token;
+
+    const resp = await this.request("POST", `/app/installations/${installationId}/access_tokens`);
+    if (resp.statusCode < 200 || resp.statusCode >= 300) {
+      throw new Error(`Failed to create installation token for ${installationId}: ${resp.statusCode}`);
+    }
+
+    const { token, expires_at: expiresAt } = safeParseJSON(resp.body) || {};
+    GITHUB_APP_TOKENS.set(installationId, { token, expiresAt: new Date(expiresAt).getTime() });
+    console.log(`Created GitHub App installation token for ${owner} (installation ${installationId})`);
+    return token;
+  }
+}
+
+
+
+/**
+ * GitHub Projects (v2) sync - adds issues to a project and sets its fields via GraphQL
+ */
+class ProjectSync {
+  constructor(githubClient, projectConfig) {
+    this.github = githubClient;
+    this.projectId = projectConfig.id;
+    this.fieldMap = projectConfig.fieldMap || {};
+    this._fields = null;
+  }
+
+  isConfigured() {
+    return !!this.projectId;
+  }
+
+  /**
+   * Load project fields (id, name, data type, single-select options)
+   */
+  async loadFields() {
+    if (this._fields) return this._fields;
+
+    const data = await this.github.graphql(
+      `query($id: ID!) {
+        node(id: $id) {
+          ... on ProjectV2 {
+            fields(first: 100) {
+              nodes {
+                ... on ProjectV2FieldCommon { id name dataType }
+                ... on ProjectV2SingleSelectField { options { id name } }
+              }
+            }
+          }
+        }
+      }`,
+      { id: this.projectId }
+    );
+
+    const nodes = data?.node?.fields?.nodes || [];
+    this._fields = new Map(nodes.filter((f) => f?.name).map((f) => [f.name.toLowerCase(), f]));
+    return this._fields;
+  }
+
+  /**
+   * Add issue (by node id) to the project; returns the existing item if already added
+   */
+  async addItem(contentId) {
+    const data = await this.github.graphql(
+      `mutation($projectId: ID!, $contentId: ID!) {
+        addProjectV2ItemById(input: { projectId: $projectId, contentId: $contentId }) { item { id } }
+      }`,
+      { projectId: this.projectId, contentId }
+    );
+    return data?.addProjectV2ItemById?.item?.id || null;
+  }
+
+  /**
+   * Convert a Jira value into a Projects v2 field value, or null when it cannot be represented
+   */
+  toFieldValue(field, mapping, value) {
+    switch (field.dataType) {
+      case "SINGLE_SELECT": {
+        const optionName = String(mapping.options?.[value] ?? value).toLowerCase();
+        const option = (field.options || []).find((o) => o.name.toLowerCase() === optionName);
+        if (!option) console.warn(`No option "${value}" in project field ${field.name}`);
+        return option ? { singleSelectOptionId: option.id } : null;
+      }
+      case "NUMBER": {
+        const number = Number(value);
+        return Number.isFinite(number) ? { number } : null;
+      }
+      case "DATE": {
+        const date = String(value).slice(0, 10);
+        return /^\d{4}-\d{2}-\d{2}$/.test(date) ? { date } : null;
+      }
+      case "TEXT":
+        return { text: String(value) };
+      default:
+        console.warn(`Unsupported project field type ${field.dataType} for ${field.name}`);
+        return null;
+    }
+  }
+
+  /**
+   * Add issue to the project and set mapped fields
+   * values: { status, priority, storyPoints, startDate, dueDate }; null clears, undefined skips
+   */
+  async syncItem(contentId, values) {
+    if (!this.isConfigured() || !contentId) return false;
+
+    try {
+      const itemId = await this.addItem(contentId);
+      if (!itemId) return false;
+
+      const fields = await this.loadFields();
+      for (const [property, value] of Object.entries(values)) {
+        const rawMapping = this.fieldMap[property];
+        if (!rawMapping || value === undefined) continue;
+
+        const mapping = typeof rawMapping === "string" ? { field: rawMapping } : rawMapping;
+        const field = fields.get(String(mapping.field || "").toLowerCase());
+        if (!field) {
+          console.warn(`Project field "${mapping.field}" not found, skipping ${property}`);
+          continue;
+        }
+
+        const variables = { projectId: this.projectId, itemId, fieldId: field.id };
+        const fieldValue = value === null || value === "" ? null : this.toFieldValue(field, mapping, value);
+
+        if (fieldValue) {
+          await this.github.graphql(
+            `mutation($projectId: ID!, $itemId: ID!, $fieldId: ID!, $value: ProjectV2FieldValue!) {
+              updateProjectV2ItemFieldValue(
+                input: { projectId: $projectId, itemId: $itemId, fieldId: $fieldId, value: $value }
+              ) { projectV2Item { id } }
+            }`,
+            { ...variables, value: fieldValue }
+          );
+        } else if (value === null || value === "") {
+          await this.github.graphql(
+            `mutation($projectId: ID!, $itemId: ID!, $fieldId: ID!) {
+              clearProjectV2ItemFieldValue(
+                input: { projectId: $projectId, itemId: $itemId, fieldId: $fieldId }
+              ) { projectV2Item { id } }
+            }`,
+            variables
+          );
+        }
+      }
+
+      console.log(`Synced project item ${itemId}`);
+      return true;
+    } catch (err) {
+      console.warn("Failed to sync project item:", err.message);
+      return false;
+    }
+  }
+}
+
+
+
 class ImageHandler {
-  constructor(jiraEmail, jiraToken, githubClient) {
+  constructor(jiraEmail, jiraToken, githubClient, jiraFlavor = "cloud") {
     this.jiraEmail = jiraEmail;
     this.jiraToken = jiraToken;
     this.githubClient = githubClient;
+    this.jiraFlavor = jiraFlavor;
+  }
+
+  hasJiraCredentials() {
+    return hasJiraCredentials(this.jiraFlavor, this.jiraEmail, this.jiraToken);
   }
 
   /**
    * Download image from Jira with authentication
    */
   async downloadFromJira(contentUrl, maxRedirects = MAX_IMAGE_REDIRECTS) {
-    if (!this.jiraEmail || !this.jiraToken) {
+    if (!this.hasJiraCredentials()) {
       console.warn("Jira credentials not provided, cannot download images");
       return null;
     }
 
-    const auth = Buffer.from(`${this.jiraEmail}:${this.jiraToken}`).toString("base64");
     let currentUrl = contentUrl;
     let redirectCount = 0;
 
     while (redirectCount < maxRedirects) {
       try {
-        const url = new URL(currentUrl);
+        const { transport, options: target } = buildRequestTarget(new URL(currentUrl));
         const result = await new Promise((resolve, reject) => {
           const options = {
-            hostname: url.hostname,
-            path: url.pathname + url.search,
+            ...target,
             method: "GET",
             headers: {
-              Authorization: `Basic ${auth}`,
+              Authorization: jiraAuthHeader(this.jiraFlavor, this.jiraEmail, this.jiraToken),
               "User-Agent": "jira-webhook",
             },
           };
 
-          const req = https.request(options, (res) => {
-            // Handle redirects
+          const req = transport.request(options, (res) => {
+            // Handle redirects (Location may be relative)
             if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
-              resolve({ redirect: res.headers.location });
+              resolve({ redirect: new URL(res.headers.location, currentUrl).toString() });
               return;
             }
 
@@ -630,20 +2401,15 @@ class ImageHandler {
    */
   async getExistingAsset(owner, repo, releaseId, filename) {
     try {
-      const resp = await this.githubClient.request({
-        hostname: GITHUB_API,
-        path: `/repos/${owner}/${repo}/releases/${releaseId}/assets`,
-        method: "GET",
-        headers: this.githubClient.buildHeaders(),
+      const matches = (a) => a.name === filename;
+      const assets = await this.githubClient.paginate(`/repos/${owner}/${repo}/releases/${releaseId}/assets`, {
+        until: matches,
       });
 
-      if (resp.statusCode === 200) {
-        const assets = safeParseJSON(resp.body) || [];
-        const existing = assets.find((a) => a.name === filename);
-        if (existing) {
-          console.log(`Asset ${filename} already exists: ${existing.browser_download_url}`);
-          return existing.browser_download_url;
-        }
+      const existing = assets?.find(matches);
+      if (existing) {
+        console.log(`Asset ${filename} already exists: ${existing.browser_download_url}`);
+        return existing.browser_download_url;
       }
       return null;
     } catch (err) {
@@ -671,11 +2437,10 @@ class ImageHandler {
       }
 
       // Upload asset
-      const url = new URL(`https://${GITHUB_UPLOADS}/repos/${owner}/${repo}/releases/${releaseId}/assets`);
       const resp = await this.githubClient.request(
         {
-          hostname: url.hostname,
-          path: `${url.pathname}${url.search}?name=${encodeURIComponent(sanitizedFilename)}`,
+          baseUrl: this.githubClient.endpoints.uploads,
+          path: `/repos/${owner}/${repo}/releases/${releaseId}/assets?name=${encodeURIComponent(sanitizedFilename)}`,
           method: "POST",
           headers: {
             Authorization: `token ${this.githubClient.token}`,
@@ -707,24 +2472,13 @@ class ImageHandler {
    */
   async getOrCreateRelease(owner, repo) {
     try {
-      // Try to get existing release
-      const listResp = await this.githubClient.request({
-        hostname: GITHUB_API,
-        path: `/repos/${owner}/${repo}/releases`,
-        method: "GET",
-        headers: this.githubClient.buildHeaders(),
-      });
-
-      if (listResp.statusCode === 200) {
-        const releases = safeParseJSON(listResp.body) || [];
-        const existing = releases.find((r) => r.tag_name === JIRA_IMAGE_RELEASE_TAG);
-        if (existing) return existing.id;
-      }
+      // Try to get existing release; a failed lookup throws so no duplicate release is created
+      const existing = await this.githubClient.findRelease(owner, repo, JIRA_IMAGE_RELEASE_TAG);
+      if (existing) return existing.id;
 
       // Create new release
       const createResp = await this.githubClient.request(
         {
-          hostname: GITHUB_API,
           path: `/repos/${owner}/${repo}/releases`,
           method: "POST",
           headers: this.githubClient.buildHeaders(true),
@@ -760,7 +2514,7 @@ class ImageHandler {
     for (const [filename, jiraUrl] of Object.entries(attachmentMap)) {
       let publicUrl = jiraUrl;
 
-      if (this.jiraEmail && this.jiraToken) {
+      if (this.hasJiraCredentials()) {
         try {
           const imageData = await this.downloadFromJira(jiraUrl);
           if (imageData) {
@@ -790,59 +2544,585 @@ class ImageHandler {
 
 
 
-class ConfigManager {
-  constructor(env, fieldMapper = null) {
-    this.env = env;
-    this.fieldMapper = fieldMapper;
-    this._resolvedStartDateField = null;
+/**
+ * Issue Mapping Store - Persists Jira key <-> GitHub issue links in DynamoDB
+ */
+class IssueMappingStore {
+  constructor(tableName, docClient = null) {
+    this.tableName = tableName;
+    if (tableName && !docClient && !DYNAMO_DOC_CLIENT) {
+      DYNAMO_DOC_CLIENT = DynamoDBDocumentClient.from(new DynamoDBClient({}));
+    }
+    this.docClient = docClient || DYNAMO_DOC_CLIENT;
+  }
+
+  /**
+   * Check if a mapping table is configured
+   */
+  isEnabled() {
+    return !!this.tableName;
+  }
+
+  /**
+   * Build the issue reference used by the reverse-lookup index
+   */
+  buildIssueRef(owner, repo, issueNumber) {
+    return `${owner}/${repo}#${issueNumber}`.toLowerCase();
+  }
+
+  /**
+   * Get mapping for a Jira key
+   */
+  async get(jiraKey) {
+    if (!this.isEnabled() || !jiraKey) return null;
+
+    try {
+      const { Item } = await this.docClient.send(
+        new GetCommand({ TableName: this.tableName, Key: { jiraKey } })
+      );
+      return Item || null;
+    } catch (err) {
+      console.warn(`Failed to read mapping for ${jiraKey}: ${err.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Get mappings for many Jira keys at once; returns a Map of jiraKey -> mapping (missing keys are absent)
+   */
+  async getMany(jiraKeys) {
+    const found = new Map();
+    if (!this.isEnabled()) return found;
+
+    const keys = [...new Set(jiraKeys.filter(Boolean))];
+    // BatchGetItem reads at most 100 keys per call
+    for (let i = 0; i < keys.length; i += 100) {
+      let request = { [this.tableName]: { Keys: keys.slice(i, i + 100).map((jiraKey) => ({ jiraKey })) } };
+      try {
+        for (let attempt = 0; attempt < 3 && request; attempt++) {
+          const { Responses = {}, UnprocessedKeys = {} } = await this.docClient.send(
+            new BatchGetCommand({ RequestItems: request })
+          );
+          (Responses[this.tableName] || []).forEach((item) => found.set(item.jiraKey, item));
+          request = UnprocessedKeys[this.tableName]?.Keys?.length ? UnprocessedKeys : null;
+        }
+      } catch (err) {
+        console.warn(`Failed to read mappings: ${err.message}`);
+      }
+    }
+    return found;
+  }
+
+  /**
+   * Get mapping for a GitHub issue (reverse lookup)
+   */
+  async getByIssue(owner, repo, issueNumber) {
+    if (!this.isEnabled() || !owner || !repo || !issueNumber) return null;
+
+    try {
+      const { Items = [] } = await this.docClient.send(
+        new QueryCommand({
+          TableName: this.tableName,
+          IndexName: "IssueRefIndex",
+          KeyConditionExpression: "issueRef = :issueRef",
+          ExpressionAttributeValues: { ":issueRef": this.buildIssueRef(owner, repo, issueNumber) },
+          Limit: 1,
+        })
+      );
+      return Items[0] || null;
+    } catch (err) {
+      console.warn(`Failed to read mapping for ${owner}/${repo}#${issueNumber}: ${err.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Record a Jira key -> GitHub issue mapping
+   */
+  async put(jiraKey, owner, repo, ghIssue) {
+    if (!this.isEnabled() || !jiraKey || !ghIssue?.number) return null;
+
+    const now = new Date().toISOString();
+    const item = {
+      jiraKey,
+      owner,
+      repo,
+      issueNumber: ghIssue.number,
+      nodeId: ghIssue.node_id || null,
+      issueRef: this.buildIssueRef(owner, repo, ghIssue.number),
+      comments: {},
+      createdAt: now,
+      updatedAt: now,
+    };
+
+    try {
+      await this.docClient.send(new PutCommand({ TableName: this.tableName, Item: item }));
+      console.log(`Recorded mapping ${jiraKey} -> ${owner}/${repo}#${ghIssue.number}`);
+      return item;
+    } catch (err) {
+      console.warn(`Failed to record mapping for ${jiraKey}: ${err.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Record a Jira comment id -> GitHub comment id pair
+   */
+  async putComment(jiraKey, jiraCommentId, githubCommentId) {
+    if (!this.isEnabled() || !jiraKey || !jiraCommentId || !githubCommentId) return false;
+
+    try {
+      await this.docClient.send(
+        new UpdateCommand({
+          TableName: this.tableName,
+          Key: { jiraKey },
+          UpdateExpression: "SET comments.#commentId = :githubCommentId, updatedAt = :now",
+          ConditionExpression: "attribute_exists(jiraKey)",
+          ExpressionAttributeNames: { "#commentId": String(jiraCommentId) },
+          ExpressionAttributeValues: { ":githubCommentId": githubCommentId, ":now": new Date().toISOString() },
+        })
+      );
+      return true;
+    } catch (err) {
+      console.warn(`Failed to record comment mapping for ${jiraKey}: ${err.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Forget a Jira comment id -> GitHub comment id pair
+   */
+  async deleteComment(jiraKey, jiraCommentId) {
+    if (!this.isEnabled() || !jiraKey || !jiraCommentId) return false;
+
+    try {
+      await this.docClient.send(
+        new UpdateCommand({
+          TableName: this.tableName,
+          Key: { jiraKey },
+          UpdateExpression: "REMOVE comments.#commentId SET updatedAt = :now",
+          ConditionExpression: "attribute_exists(jiraKey)",
+          ExpressionAttributeNames: { "#commentId": String(jiraCommentId) },
+          ExpressionAttributeValues: { ":now": new Date().toISOString() },
+        })
+      );
+      return true;
+    } catch (err) {
+      console.warn(`Failed to remove comment mapping for ${jiraKey}: ${err.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Tombstone a mapping after its Jira issue was deleted
+   */
+  async markDeleted(jiraKey, deletedBy) {
+    if (!this.isEnabled() || !jiraKey) return false;
+
+    const now = new Date().toISOString();
+    try {
+      await this.docClient.send(
+        new UpdateCommand({
+          TableName: this.tableName,
+          Key: { jiraKey },
+          UpdateExpression: "SET deletedAt = :now, deletedBy = :deletedBy, updatedAt = :now",
+          ConditionExpression: "attribute_exists(jiraKey)",
+          ExpressionAttributeValues: { ":now": now, ":deletedBy": deletedBy || null },
+        })
+      );
+      return true;
+    } catch (err) {
+      console.warn(`Failed to tombstone mapping for ${jiraKey}: ${err.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Record (or clear, with null) that a Jira issue was unlinked from its GitHub issue
+   */
+  async setUnlinked(jiraKey, unlinked) {
+    if (!this.isEnabled() || !jiraKey) return false;
+
+    const values = { ":now": new Date().toISOString() };
+    if (unlinked) values[":unlinked"] = unlinked;
+
+    try {
+      await this.docClient.send(
+        new UpdateCommand({
+          TableName: this.tableName,
+          Key: { jiraKey },
+          UpdateExpression: unlinked ? "SET unlinked = :unlinked, updatedAt = :now" : "SET updatedAt = :now REMOVE unlinked",
+          ConditionExpression: "attribute_exists(jiraKey)",
+          ExpressionAttributeValues: values,
+        })
+      );
+      return true;
+    } catch (err) {
+      console.warn(`Failed to record unlink state for ${jiraKey}: ${err.message}`);
+      return false;
+    }
+  }
+}
+
+
+
+/**
+ * Idempotency Store - Records processed Jira webhook deliveries in DynamoDB
+ * Conditional writes make sure each delivery is synced at most once
+ */
+class IdempotencyStore {
+  constructor(tableName, ttlSeconds, docClient = null) {
+    this.tableName = tableName;
+    this.ttlSeconds = ttlSeconds;
+    if (tableName && !docClient && !DYNAMO_DOC_CLIENT) {
+      DYNAMO_DOC_CLIENT = DynamoDBDocumentClient.from(new DynamoDBClient({}));
+    }
+    this.docClient = docClient || DYNAMO_DOC_CLIENT;
+  }
+
+  /**
+   * Check if an idempotency table is configured
+   */
+  isEnabled() {
+    return !!this.tableName;
+  }
+
+  /**
+   * Get the record for a fingerprint
+   */
+  async get(fingerprint) {
+    if (!this.isEnabled() || !fingerprint) return null;
+
+    try {
+      const { Item } = await this.docClient.send(
+        new GetCommand({ TableName: this.tableName, Key: { fingerprint } })
+      );
+      // DynamoDB TTL deletion lags, so treat expired records as missing
+      return Item && Item.expiresAt > Math.floor(Date.now() / 1000) ? Item : null;
+    } catch (err) {
+      console.warn(`Failed to read idempotency record ${fingerprint}: ${err.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Claim a fingerprint before processing
+   * Returns { claimed: false, record } when the delivery was already seen
+   */
+  async claim(fingerprint) {
+    if (!this.isEnabled() || !fingerprint) return { claimed: true };
+
+    const now = Math.floor(Date.now() / 1000);
+    try {
+      await this.docClient.send(
+        new PutCommand({
+          TableName: this.tableName,
+          Item: {
+            fingerprint,
+            status: "IN_PROGRESS",
+            // Lambda never runs past 15 minutes, so an older claim belongs to a dead invocation
+            lockExpiresAt: now + 900,
+            expiresAt: now + this.ttlSeconds,
+            createdAt: new Date().toISOString(),
+          },
+          ConditionExpression:
+            "attribute_not_exists(fingerprint) OR expiresAt < :now OR (#status = :inProgress AND lockExpiresAt < :now)",
+          ExpressionAttributeNames: { "#status": "status" },
+          ExpressionAttributeValues: { ":now": now, ":inProgress": "IN_PROGRESS" },
+        })
+      );
+      return { claimed: true };
+    } catch (err) {
+      if (err.name === "ConditionalCheckFailedException") {
+        return { claimed: false, record: await this.get(fingerprint) };
+      }
+      // Never block syncing on a store outage
+      console.warn(`Failed to claim idempotency record ${fingerprint}: ${err.message}`);
+      return { claimed: true };
+    }
+  }
+
+  /**
+   * Record the result of a processed delivery
+   */
+  async complete(fingerprint, result) {
+    if (!this.isEnabled() || !fingerprint) return false;
+
+    try {
+      await this.docClient.send(
+        new UpdateCommand({
+          TableName: this.tableName,
+          Key: { fingerprint },
+          UpdateExpression: "SET #status = :completed, #result = :result, completedAt = :completedAt",
+          ExpressionAttributeNames: { "#status": "status", "#result": "result" },
+          ExpressionAttributeValues: {
+            ":completed": "COMPLETED",
+            ":result": { statusCode: result.statusCode, body: result.body },
+            ":completedAt": new Date().toISOString(),
+          },
+        })
+      );
+      return true;
+    } catch (err) {
+      console.warn(`Failed to complete idempotency record ${fingerprint}: ${err.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Release a claim so a failed delivery can be retried
+   */
+  async release(fingerprint) {
+    if (!this.isEnabled() || !fingerprint) return false;
+
+    try {
+      await this.docClient.send(new DeleteCommand({ TableName: this.tableName, Key: { fingerprint } }));
+      return true;
+    } catch (err) {
+      console.warn(`Failed to release idempotency record ${fingerprint}: ${err.message}`);
+      return false;
+    }
+  }
+}
+
+
+
+class ConfigManager {
+  constructor(env, fieldMapper = null) {
+    this.env = env;
+    this.fieldMapper = fieldMapper;
+    this._resolvedStartDateField = null;
+  }
+
+  get github() {
+    return {
+      owner: this.env.GITHUB_OWNER?.trim(),
+      repo: this.env.GITHUB_REPO?.trim(),
+      token: this.env.GITHUB_TOKEN?.trim(),
+      webhookSecret: this.env.GITHUB_WEBHOOK_SECRET?.trim(),
+      // GitHub App credentials; preferred over GITHUB_TOKEN when set
+      appId: this.env.GITHUB_APP_ID?.trim(),
+      appPrivateKey: this.parsePrivateKey(this.env.GITHUB_APP_PRIVATE_KEY),
+      appInstallationId: this.env.GITHUB_APP_INSTALLATION_ID?.trim(),
+    };
+  }
+
+  /**
+   * Accept the App private key as PEM, PEM with escaped newlines, or base64-encoded PEM
+   */
+  parsePrivateKey(raw) {
+    const value = String(raw || "").trim();
+    if (!value) return null;
+    if (value.includes("BEGIN")) return value.replace(/\\n/g, "\n");
+    return Buffer.from(value, "base64").toString("utf8");
+  }
+
+  /**
+   * GitHub base URLs; GitHub Enterprise Server uses https://host/api/v3 and https://host/api/uploads
+   * An invalid GITHUB_API_URL / GITHUB_UPLOADS_URL is reported in `error` instead of throwing
+   */
+  get githubEndpoints() {
+    const parse = (urlVar, hostVar, defaultHost) => {
+      const raw = this.env[urlVar]?.trim() || `https://${this.env[hostVar]?.trim() || defaultHost}`;
+      try {
+        return new URL(raw);
+      } catch {
+        throw new Error(`${urlVar} is not a valid URL: ${raw}`);
+      }
+    };
+
+    try {
+      const api = parse("GITHUB_API_URL", "GITHUB_API_HOSTNAME", "api.github.com");
+      const uploads = parse("GITHUB_UPLOADS_URL", "GITHUB_UPLOADS_HOSTNAME", "uploads.github.com");
+      // GraphQL lives at /graphql on github.com and /api/graphql on GitHub Enterprise Server
+      const graphql = new URL(api.pathname.replace(/\/v3\/?$/, ""), api);
+      return { api, uploads, graphql, error: null };
+    } catch (err) {
+      return { error: err.message };
+    }
+  }
+
+  get jira() {
+    return {
+      baseUrl: this.env.JIRA_BASE_URL || "",
+      // "cloud" or "server" (Server / Data Center: personal access token, REST v2, wiki markup bodies)
+      flavor: normalizeJiraFlavor(this.env.JIRA_FLAVOR),
+      email: this.env.JIRA_EMAIL?.trim(),
+      token: this.env.JIRA_API_TOKEN?.trim(),
+      webhookSecret: this.env.JIRA_WEBHOOK_SECRET?.trim(),
+      triggerLabels: (this.env.TRIGGER_LABELS || "create-github").split(",").map((s) => s.trim()).filter(Boolean),
+      allowedTypes: (this.env.JIRA_TYPES || "Story,Task,Sub-task").split(",").map((s) => s.trim()).filter(Boolean),
+      // Optional: If not provided, we will try to resolve common start date field names via JiraFieldMapper.
+      startDateFieldRaw: String(this.env.START_DATE_FIELD || "").trim(),
+      // Field(s) holding acceptance criteria; empty looks for an "Acceptance Criteria" heading in the description
+      acceptanceCriteriaFieldRaw: String(this.env.ACCEPTANCE_CRITERIA_FIELD || "").trim(),
+      // Target statuses used when GitHub issues are closed or reopened
+      doneStatus: String(this.env.JIRA_DONE_STATUS || "Done").trim(),
+      reopenedStatus: String(this.env.JIRA_REOPENED_STATUS || "To Do").trim(),
+      // Issues closed as "not planned" on GitHub only transition when this is set
+      notPlannedStatus: String(this.env.JIRA_NOT_PLANNED_STATUS || "").trim(),
+      // What happens to the GitHub issue when the trigger label is removed: "unlink", "close" or "label"
+      triggerRemovalPolicy: String(this.env.TRIGGER_REMOVAL_POLICY || "unlink").trim().toLowerCase(),
+      unlinkedLabel: String(this.env.UNLINKED_LABEL || "jira-unlinked").trim(),
+      // Applied to the GitHub issue when the Jira issue is deleted: any of "close", "comment", "lock"
+      deleteActions: String(this.env.JIRA_DELETE_ACTIONS ?? "close,comment")
+        .split(",")
+        .map((s) => s.trim().toLowerCase())
+        .filter(Boolean),
+    };
+  }
+
+  /**
+   * Get resolved start date field ID (with field name resolution)
+   */
+  async getStartDateField() {
+    if (this._resolvedStartDateField) return this._resolvedStartDateField;
+
+    const { startDateFieldRaw } = this.jira;
+    const fieldNames = startDateFieldRaw
+      ? startDateFieldRaw.split(",").map((s) => s.trim()).filter(Boolean)
+      : [
+          "Start Date",
+          "Sprint Start Date",
+          "Start date",
+          "Start",
+        ];
+
+    if (this.fieldMapper) {
+      const resolved = await this.fieldMapper.resolveFieldNames(fieldNames);
+      this._resolvedStartDateField = resolved[0] || null;
+    } else {
+      // Without a mapper, return null so extractStartDate falls back to built-in heuristics.
+      this._resolvedStartDateField = null;
+    }
+
+    return this._resolvedStartDateField;
+  }
+
+  get milestones() {
+    return {
+      // "fixVersions", "sprint" or empty to leave milestones alone
+      source: (this.env.MILESTONE_SOURCE || "").trim().toLowerCase(),
+      sprintFieldRaw: this.env.SPRINT_FIELD?.trim() || "Sprint",
+    };
+  }
+
+  /**
+   * Resolve a comma-separated list of Jira field names/IDs to the first known field ID (cached)
+   */
+  async resolveConfiguredField(cacheKey, fieldNamesRaw) {
+    this._resolvedFields = this._resolvedFields || {};
+    if (this._resolvedFields[cacheKey] !== undefined) return this._resolvedFields[cacheKey];
+
+    const fieldNames = String(fieldNamesRaw || "").split(",").map((s) => s.trim()).filter(Boolean);
+    this._resolvedFields[cacheKey] = this.fieldMapper
+      ? (await this.fieldMapper.resolveFieldNames(fieldNames))[0] || null
+      : fieldNames.find((name) => name.startsWith("customfield_")) || null;
+
+    return this._resolvedFields[cacheKey];
+  }
+
+  async getSprintField() {
+    return this.resolveConfiguredField("sprint", this.milestones.sprintFieldRaw);
+  }
+
+  async getStoryPointsField() {
+    return this.resolveConfiguredField("storyPoints", this.project.storyPointsFieldRaw);
+  }
+
+  async getAcceptanceCriteriaField() {
+    return this.resolveConfiguredField("acceptanceCriteria", this.jira.acceptanceCriteriaFieldRaw);
+  }
+
+  /**
+   * Resolve the milestone a Jira issue belongs to
+   * Returns undefined when milestone sync is disabled, null when the issue has none
+   */
+  async resolveMilestone(fields) {
+    const { source } = this.milestones;
+    if (source === "fixversions") return pickFixVersion(fields.fixVersions);
+    if (source === "sprint") {
+      const sprintField = await this.getSprintField();
+      return sprintField ? pickSprint(fields[sprintField]) : null;
+    }
+    return undefined;
+  }
+
+  get project() {
+    const fieldMap = safeParseJSON(this.env.PROJECT_FIELD_MAP_JSON);
+    return {
+      // Projects v2 node id (PVT_...), empty disables project sync
+      id: this.env.GITHUB_PROJECT_ID?.trim(),
+      // Sync property -> project field name, or { field, options: { jiraValue: optionName } }
+      fieldMap: fieldMap && typeof fieldMap === "object"
+        ? fieldMap
+        : {
+            status: "Status",
+            priority: "Priority",
+            storyPoints: "Story Points",
+            startDate: "Start date",
+            dueDate: "Due date",
+          },
+      storyPointsFieldRaw: this.env.STORY_POINTS_FIELD?.trim() || "Story Points,Story point estimate",
+    };
   }
 
-  get github() {
+  get templates() {
     return {
-      owner: this.env.GITHUB_OWNER?.trim(),
-      repo: this.env.GITHUB_REPO?.trim(),
-      token: this.env.GITHUB_TOKEN?.trim(),
+      // Logic-less templates (see renderTemplate); empty uses the built-in layout
+      issueBody: loadTemplate(this.env.ISSUE_BODY_TEMPLATE, this.env.ISSUE_BODY_TEMPLATE_FILE),
+      comment: loadTemplate(this.env.COMMENT_TEMPLATE, this.env.COMMENT_TEMPLATE_FILE),
     };
   }
 
-  get jira() {
+  get comments() {
     return {
-      baseUrl: this.env.JIRA_BASE_URL || "",
-      email: this.env.JIRA_EMAIL?.trim(),
-      token: this.env.JIRA_API_TOKEN?.trim(),
-      webhookSecret: this.env.JIRA_WEBHOOK_SECRET?.trim(),
-      triggerLabels: (this.env.TRIGGER_LABELS || "create-github").split(",").map((s) => s.trim()).filter(Boolean),
-      allowedTypes: (this.env.JIRA_TYPES || "Story,Task,Sub-task").split(",").map((s) => s.trim()).filter(Boolean),
-      // Optional: If not provided, we will try to resolve common start date field names via JiraFieldMapper.
-      startDateFieldRaw: String(this.env.START_DATE_FIELD || "").trim(),
+      // "delete" removes the GitHub copy of a deleted Jira comment, "strike" keeps it struck through
+      deleteMode: String(this.env.JIRA_COMMENT_DELETE_MODE || "delete").trim().toLowerCase(),
+      // Restricted comments (visibility role/group, or service desk internal notes) only sync when listed,
+      // e.g. "Developers" or "role:Developers"; "internal" allows service desk internal notes
+      visibilityAllowlist: String(this.env.COMMENT_VISIBILITY_ALLOWLIST || "")
+        .split(",")
+        .map((s) => s.trim().toLowerCase())
+        .filter(Boolean),
     };
   }
 
   /**
-   * Get resolved start date field ID (with field name resolution)
+   * Check if a Jira comment may be mirrored to GitHub given its visibility restriction
    */
-  async getStartDateField() {
-    if (this._resolvedStartDateField) return this._resolvedStartDateField;
+  isCommentVisible(jiraComment) {
+    const allowlist = this.comments.visibilityAllowlist;
 
-    const { startDateFieldRaw } = this.jira;
-    const fieldNames = startDateFieldRaw
-      ? startDateFieldRaw.split(",").map((s) => s.trim()).filter(Boolean)
-      : [
-          "Start Date",
-          "Sprint Start Date",
-          "Start date",
-          "Start",
-        ];
+    if (jiraComment?.jsdPublic === false && !allowlist.includes("internal")) return false;
 
-    if (this.fieldMapper) {
-      const resolved = await this.fieldMapper.resolveFieldNames(fieldNames);
-      this._resolvedStartDateField = resolved[0] || null;
-    } else {
-      // Without a mapper, return null so extractStartDate falls back to built-in heuristics.
-      this._resolvedStartDateField = null;
-    }
+    const { type, value } = jiraComment?.visibility || {};
+    if (!value) return true;
 
-    return this._resolvedStartDateField;
+    const name = String(value).toLowerCase();
+    return allowlist.includes(name) || allowlist.includes(`${String(type).toLowerCase()}:${name}`);
+  }
+
+  get routing() {
+    const parsed = safeParseJSON(this.env.ROUTING_RULES_JSON);
+    return {
+      rules: Array.isArray(parsed) ? parsed : parsed?.rules || [],
+      defaultTarget: Array.isArray(parsed) ? null : parsed?.default || null,
+    };
+  }
+
+  get queue() {
+    return {
+      url: this.env.SYNC_QUEUE_URL?.trim(),
+    };
+  }
+
+  get storage() {
+    return {
+      mappingTable: this.env.MAPPING_TABLE_NAME?.trim(),
+      idempotencyTable: this.env.IDEMPOTENCY_TABLE_NAME?.trim(),
+      idempotencyTtlSeconds: parseInt(this.env.IDEMPOTENCY_TTL_HOURS || "72", 10) * 3600,
+    };
   }
 
   get mappings() {
@@ -852,12 +3132,101 @@ class ConfigManager {
     };
   }
 
+  /**
+   * Parse a routing target: "owner/repo" or { owner, repo }
+   */
+  parseTarget(target) {
+    if (!target) return null;
+
+    const ref = typeof target === "string" ? target : target.owner ? null : target.repo;
+    if (ref) {
+      const [owner, repo] = String(ref).split("/").map((s) => s.trim());
+      return owner && repo ? { owner, repo } : null;
+    }
+
+    return target.owner && target.repo ? { owner: String(target.owner).trim(), repo: String(target.repo).trim() } : null;
+  }
+
+  /**
+   * Check if a Jira issue matches all matchers of a routing rule
+   * List matchers pass when any value overlaps (case-insensitive)
+   */
+  async matchesRoute(match, issue) {
+    const fields = issue?.fields || {};
+    const normalize = (v) => String(v).trim().toLowerCase();
+    const anyOf = (expected, actual) => {
+      const wanted = [].concat(expected).map(normalize);
+      return actual.filter((v) => v !== undefined && v !== null).some((v) => wanted.includes(normalize(v)));
+    };
+
+    if (match.project && !anyOf(match.project, [fields.project?.key || String(issue?.key || "").split("-")[0]])) {
+      return false;
+    }
+    if (match.components && !anyOf(match.components, (fields.components || []).map((c) => c.name))) return false;
+    if (match.issueTypes && !anyOf(match.issueTypes, [fields.issuetype?.name])) return false;
+    if (match.labels && !anyOf(match.labels, fields.labels || [])) return false;
+
+    if (match.field) {
+      const fieldId = match.field.id
+        || (this.fieldMapper ? (await this.fieldMapper.resolveFieldNames([match.field.name]))[0] : null);
+      if (!fieldId || !anyOf(match.field.value, jiraFieldValues(fields[fieldId]))) return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Jira fields ROUTING_RULES_JSON matchers read, for searches whose results are routed like webhook issues
+   */
+  async getRoutingFields() {
+    const fields = new Set(["project", "components", "issuetype", "labels"]);
+    for (const rule of this.routing.rules) {
+      const field = rule.match?.field;
+      if (!field) continue;
+
+      const fieldId = field.id || (this.fieldMapper ? (await this.fieldMapper.resolveFieldNames([field.name]))[0] : null);
+      if (fieldId) fields.add(fieldId);
+    }
+    return [...fields];
+  }
+
+  /**
+   * Resolve target GitHub repository for a Jira issue using ROUTING_RULES_JSON
+   * First matching rule wins; falls back to the routing default, then GITHUB_OWNER/GITHUB_REPO
+   */
+  async resolveTarget(issue) {
+    const { rules, defaultTarget } = this.routing;
+
+    for (const rule of rules) {
+      const target = this.parseTarget(rule.target || rule);
+      if (target && (await this.matchesRoute(rule.match || {}, issue))) {
+        console.log(`Routed ${issue?.key} to ${target.owner}/${target.repo}`);
+        return target;
+      }
+    }
+
+    return this.parseTarget(defaultTarget) || { owner: this.github.owner, repo: this.github.repo };
+  }
+
   hasTriggerLabel(issueLabels) {
     if (!Array.isArray(issueLabels) || !issueLabels.length) return false;
     const triggerSet = new Set(this.jira.triggerLabels);
     return issueLabels.some((l) => triggerSet.has(l));
   }
 
+  /**
+   * Check if a changelog removes every trigger label (present in fromString, gone from toString)
+   */
+  triggerLabelRemoved(changelogItems) {
+    const triggerSet = new Set(this.jira.triggerLabels);
+    return (changelogItems || []).some((item) => {
+      if (item.field !== "labels") return false;
+      const before = String(item.fromString || "").split(" ").filter(Boolean);
+      const after = String(item.toString || "").split(" ").filter(Boolean);
+      return before.some((l) => triggerSet.has(l)) && !after.some((l) => triggerSet.has(l));
+    });
+  }
+
   mapLabels(jiraLabels) {
     const out = [];
     const seen = new Set();
@@ -889,7 +3258,8 @@ class ConfigManager {
 
     const displayName = jiraUser.displayName || "Unknown User";
     const email = jiraUser.emailAddress || null;
-    const lookupKeys = [email, displayName].filter(Boolean);
+    // Server / Data Center users have a username (name) instead of an accountId
+    const lookupKeys = [email, jiraUser.accountId, jiraUser.name, displayName].filter(Boolean);
 
     for (const key of lookupKeys) {
       const mapped = this.mappings.users[key];
@@ -905,35 +3275,370 @@ class ConfigManager {
   buildStatusLabel(statusName) {
     return statusName ? `status: ${statusName}` : undefined;
   }
+
+  get statusMap() {
+    const parsed = safeParseJSON(this.env.STATUS_MAP_JSON) || {};
+    const map = {};
+    for (const [key, value] of Object.entries(parsed)) {
+      if (value && typeof value === "object") map[key.trim().toLowerCase()] = value;
+    }
+    return map;
+  }
+
+  /**
+   * Resolve GitHub state, state_reason and label for a Jira status (object or name)
+   * STATUS_MAP_JSON is keyed by status name or statusCategory.key; unlisted statuses
+   * fall back to the status category ("done" closes as completed)
+   */
+  resolveStatus(status) {
+    const statusName = typeof status === "string" ? status : status?.name;
+    const categoryKey = typeof status === "object" ? status?.statusCategory?.key : undefined;
+    const map = this.statusMap;
+    const entry = map[String(statusName || "").toLowerCase()] || map[String(categoryKey || "").toLowerCase()];
+
+    let state;
+    if (entry?.state) {
+      state = String(entry.state).toLowerCase() === "closed" ? "closed" : "open";
+    } else if (categoryKey) {
+      state = categoryKey === "done" ? "closed" : "open";
+    } else {
+      state = /^(done|resolved|closed)$/i.test(statusName || "") ? "closed" : "open";
+    }
+
+    const defaultReason = state === "closed" ? "completed" : null;
+    return {
+      statusName,
+      state,
+      stateReason: entry?.state_reason || defaultReason,
+      // "label": null or false in the map suppresses the status label
+      label: entry && "label" in entry ? entry.label || undefined : this.buildStatusLabel(statusName),
+    };
+  }
+
+  /**
+   * All labels STATUS_MAP_JSON may apply, so stale ones can be removed on status change
+   */
+  get statusLabels() {
+    return new Set(
+      Object.values(this.statusMap)
+        .map((entry) => entry.label)
+        .filter(Boolean)
+        .map((label) => String(label).toLowerCase())
+    );
+  }
 }
 
 
 
 class IssueSyncHandler {
-  constructor(config, githubClient, imageHandler) {
+  constructor(config, githubClient, imageHandler, mappingStore = null) {
     this.config = config;
     this.github = githubClient;
     this.images = imageHandler;
+    this.mappings = mappingStore || new IssueMappingStore(null);
+    this.projects = new ProjectSync(githubClient, config.project);
   }
 
   /**
-   * Build issue body with metadata
+   * Sync the GitHub issue's Projects v2 item from Jira fields
    */
-  async buildIssueBody(issue, description, attachmentUrlMap = {}) {
-    const { fields } = issue;
-    const statusName = fields.status?.name;
-    const priority = fields.priority?.name || "Medium";
-    const dueDate = fields.duedate;
+  async syncProjectItem(contentId, fields, startDate) {
+    if (!this.projects.isConfigured()) return false;
+
+    // Fields missing from the payload are left untouched; present but empty ones are cleared
+    const valueOf = (fieldId, pick = (v) => v) => (fieldId && fieldId in fields ? pick(fields[fieldId]) ?? null : undefined);
     const startDateField = await this.config.getStartDateField();
-    const startDate = extractStartDate(fields, startDateField);
-    const assignee = fields.assignee;
-    const parentIssue = fields.parent;
-    const isSubtask = fields.issuetype?.subtask === true || fields.issuetype?.name === "Sub-task";
-    const hasParent = !!parentIssue;
+    const storyPointsField = await this.config.getStoryPointsField();
+
+    return this.projects.syncItem(contentId, {
+      status: valueOf("status", (v) => v?.name),
+      priority: valueOf("priority", (v) => v?.name),
+      storyPoints: valueOf(storyPointsField),
+      startDate: startDate ?? valueOf(startDateField),
+      dueDate: valueOf("duedate"),
+    });
+  }
+
+  /**
+   * Convert Jira rich text to Markdown, resolving @mentions via USER_MAP_JSON
+   */
+  toMarkdown(adfNode) {
+    return adfToMarkdown(adfNode, { resolveUser: (jiraUser) => this.config.resolveUser(jiraUser) });
+  }
+
+  /**
+   * Resolve the GitHub milestone number for a Jira issue, creating the milestone if missing
+   * Returns undefined when milestones are not synced or lookup failed, null to clear
+   */
+  async resolveMilestoneNumber(owner, repo, fields) {
+    const milestone = await this.config.resolveMilestone(fields);
+    if (!milestone) return milestone;
 
-    // Replace image filenames with URLs (ensuring images are displayed, not just linked)
-    let processedDescription = description;
-    console.log(`Original description: ${description}`);
+    try {
+      const existing = await this.github.findMilestone(owner, repo, milestone.title);
+      if (existing?.number) return existing.number;
+
+      const created = await this.github.createMilestone(owner, repo, {
+        title: milestone.title,
+        description: milestone.description,
+        ...(milestone.dueOn ? { due_on: milestone.dueOn } : {}),
+      });
+      if (created?.number) return created.number;
+
+      // Another delivery may have created it in the meantime
+      return (await this.github.findMilestone(owner, repo, milestone.title))?.number;
+    } catch (err) {
+      console.warn(`Failed to resolve milestone ${milestone.title}:`, err.message);
+      return undefined;
+    }
+  }
+
+  /**
+   * Build draft release notes for a Jira version, grouped by issue type
+   */
+  buildReleaseNotes(version, entries) {
+    const lines = [];
+    if (version.description) lines.push(version.description, "");
+    lines.push(`Jira version: ${version.name}${version.releaseDate ? ` (released ${version.releaseDate})` : ""}`);
+
+    const groups = new Map();
+    for (const entry of entries) {
+      const type = entry.issueType || "Other";
+      if (!groups.has(type)) groups.set(type, []);
+      groups.get(type).push(entry);
+    }
+
+    for (const [type, items] of [...groups.entries()].sort(([a], [b]) => a.localeCompare(b))) {
+      lines.push("", `### ${type}`, "");
+      for (const item of items) {
+        lines.push(`- #${item.number} ${item.summary} ([${item.jiraKey}](${item.jiraLink}))`);
+      }
+    }
+
+    return lines.join("\n");
+  }
+
+  /**
+   * Close the version milestone and draft a release in every repository holding synced issues
+   */
+  async syncVersionRelease(version, jiraIssues) {
+    const byRepo = new Map();
+    // One batch read instead of a lookup per issue; search only runs for issues missing from the table
+    const knownMappings = this.mappings.isEnabled() ? await this.mappings.getMany(jiraIssues.map((i) => i.key)) : null;
+
+    for (const jiraIssue of jiraIssues) {
+      const target = await this.config.resolveTarget(jiraIssue);
+      const ghIssue = await this.findLinkedIssue(target.owner, target.repo, jiraIssue.key, knownMappings);
+      if (!ghIssue?.number) continue;
+
+      const owner = ghIssue.owner || target.owner;
+      const repo = ghIssue.repo || target.repo;
+      const repoKey = `${owner}/${repo}`;
+      if (!byRepo.has(repoKey)) byRepo.set(repoKey, { owner, repo, entries: [] });
+
+      byRepo.get(repoKey).entries.push({
+        number: ghIssue.number,
+        jiraKey: jiraIssue.key,
+        summary: jiraIssue.fields?.summary || jiraIssue.key,
+        issueType: jiraIssue.fields?.issuetype?.name,
+        jiraLink: this.buildJiraLink(jiraIssue.key, jiraIssue.self),
+      });
+    }
+
+    const results = [];
+    for (const { owner, repo, entries } of byRepo.values()) {
+      const milestone = await this.github.findMilestone(owner, repo, version.name);
+      const milestoneClosed = milestone?.number
+        ? milestone.state === "closed" || (await this.github.updateMilestone(owner, repo, milestone.number, { state: "closed" }))
+        : false;
+
+      const release = await this.github.upsertDraftRelease(owner, repo, {
+        tag_name: version.name.trim().replace(/\s+/g, "-"),
+        name: version.name,
+        body: this.buildReleaseNotes(version, entries),
+      });
+
+      console.log(`Version ${version.name} in ${owner}/${repo}: milestone closed=${milestoneClosed}, release=${release?.id}`);
+      results.push({ repository: `${owner}/${repo}`, issues: entries.length, milestoneClosed, releaseId: release?.id || null });
+    }
+
+    return results;
+  }
+
+  /**
+   * Apply TRIGGER_REMOVAL_POLICY after the trigger label was removed in Jira
+   * The choice is stored on the mapping so later events skip the issue until the label returns
+   */
+  async unlinkIssue(ghIssue, jiraKey, policy) {
+    const { owner, repo, number } = ghIssue;
+    const triggerLabels = this.config.jira.triggerLabels.map((l) => `\`${l}\``).join(", ");
+    let message;
+
+    if (policy === "close") {
+      await this.github.updateIssue(owner, repo, number, { state: "closed", state_reason: "not_planned" });
+      message = "GitHub issue closed as not planned";
+    } else if (policy === "label") {
+      const { unlinkedLabel } = this.config.jira;
+      await this.github.ensureLabels(owner, repo, [unlinkedLabel]);
+      await this.github.addLabels(owner, repo, number, [unlinkedLabel]);
+      message = `GitHub issue labelled ${unlinkedLabel}`;
+    } else {
+      await this.github.createComment(
+        owner,
+        repo,
+        number,
+        `**Sync stopped:** the ${triggerLabels} label was removed from ${jiraKey} in Jira. This issue no longer receives updates from Jira.`
+      );
+      message = "GitHub issue unlinked";
+    }
+
+    const recorded = await this.mappings.setUnlinked(jiraKey, { policy, at: new Date().toISOString() });
+    if (!recorded) {
+      console.warn(
+        `Unlink of ${jiraKey} was not recorded (${this.mappings.isEnabled() ? "mapping update failed" : "MAPPING_TABLE_NAME is not set"}); ` +
+          `later Jira and GitHub events may still sync #${number}`
+      );
+    }
+    console.log(`Trigger label removed from ${jiraKey}: ${message} (#${number})`);
+    return message;
+  }
+
+  /**
+   * Apply JIRA_DELETE_ACTIONS to the GitHub issue of a deleted Jira issue and tombstone the mapping
+   */
+  async handleDeletedIssue(ghIssue, jiraKey, deletedBy) {
+    const { owner, repo, number } = ghIssue;
+    const actions = this.config.jira.deleteActions;
+    const applied = [];
+
+    if (actions.includes("comment")) {
+      const who = deletedBy?.displayName ? ` by ${escapeMarkdown(deletedBy.displayName)}` : "";
+      const posted = await this.github.createComment(
+        owner,
+        repo,
+        number,
+        `**Jira issue deleted:** ${jiraKey} was deleted${who}. This issue no longer receives updates from Jira.`
+      );
+      if (posted) applied.push("comment");
+    }
+
+    if (actions.includes("close")) {
+      const closed = await this.github.updateIssue(owner, repo, number, { state: "closed", state_reason: "not_planned" });
+      if (closed) applied.push("close");
+    }
+
+    // Lock last so the notice comment can still be posted
+    if (actions.includes("lock")) {
+      const locked = await this.github.lockIssue(owner, repo, number);
+      if (locked) applied.push("lock");
+    }
+
+    await this.mappings.markDeleted(jiraKey, deletedBy?.accountId || deletedBy?.displayName || null);
+    console.log(`Jira issue ${jiraKey} deleted; applied to #${number}: ${applied.join(", ") || "nothing"}`);
+    return applied;
+  }
+
+  /**
+   * Resume syncing an unlinked issue once the trigger label is back
+   */
+  async relinkIssue(ghIssue, jiraKey) {
+    const { owner, repo, number, mapping } = ghIssue;
+    if (mapping?.unlinked?.policy === "label") {
+      await this.github.removeLabel(owner, repo, number, this.config.jira.unlinkedLabel);
+    }
+
+    await this.mappings.setUnlinked(jiraKey, null);
+    console.log(`Trigger label restored on ${jiraKey}, resuming sync for #${number}`);
+  }
+
+  /**
+   * Reference a GitHub issue from another issue: "#12" in the same repo, "owner/repo#12" across repos
+   */
+  formatIssueRef(fromOwner, fromRepo, ghIssue) {
+    const sameRepo = !ghIssue.owner
+      || (ghIssue.owner.toLowerCase() === String(fromOwner).toLowerCase() && ghIssue.repo.toLowerCase() === String(fromRepo).toLowerCase());
+    return sameRepo ? `#${ghIssue.number}` : `${ghIssue.owner}/${ghIssue.repo}#${ghIssue.number}`;
+  }
+
+  /**
+   * Find the GitHub issue linked to a Jira key
+   * Uses the mapping table (or mappings already read with getMany) first and falls back to GitHub search
+   */
+  async findLinkedIssue(owner, repo, jiraKey, knownMappings = null) {
+    if (!jiraKey) return null;
+
+    const mapping = knownMappings ? knownMappings.get(jiraKey) : await this.mappings.get(jiraKey);
+    if (mapping?.issueNumber) {
+      console.log(`Found mapped issue ${mapping.owner}/${mapping.repo}#${mapping.issueNumber} for ${jiraKey}`);
+      return { number: mapping.issueNumber, node_id: mapping.nodeId, owner: mapping.owner, repo: mapping.repo, mapping };
+    }
+
+    const found = await this.github.findIssue(owner, repo, jiraKey);
+    if (found?.number) {
+      // Backfill so later events skip the search API
+      const stored = await this.mappings.put(jiraKey, owner, repo, found);
+      return { ...found, owner, repo, mapping: stored };
+    }
+    return found;
+  }
+
+  /**
+   * Group Jira issue links by relation ("blocks", "is blocked by", ...)
+   * Linked tickets already on GitHub become issue references; the rest link back to Jira
+   */
+  async buildLinkedIssues(issueLinks, owner, repo) {
+    const links = (Array.isArray(issueLinks) ? issueLinks : [])
+      .map((link) => ({ link, linked: link.outwardIssue || link.inwardIssue }))
+      .filter(({ linked }) => linked?.key);
+
+    // Embedded linked issues lack the fields routing rules match on, so rely on the mapping table in one
+    // batch read; unmapped keys stay unsynced. Without a table, search this issue's repository one link at a time
+    const ghIssues = [];
+    if (this.mappings.isEnabled()) {
+      const knownMappings = await this.mappings.getMany(links.map(({ linked }) => linked.key));
+      links.forEach(({ linked }) => {
+        const mapping = knownMappings.get(linked.key);
+        ghIssues.push(mapping?.issueNumber
+          ? { number: mapping.issueNumber, owner: mapping.owner, repo: mapping.repo, mapping }
+          : null);
+      });
+    } else {
+      for (const { linked } of links) {
+        ghIssues.push(await this.github.findIssue(owner, repo, linked.key));
+      }
+    }
+
+    const groups = new Map();
+    links.forEach(({ link, linked }, i) => {
+      const relation = (link.outwardIssue ? link.type?.outward : link.type?.inward) || link.type?.name || "relates to";
+      const ghIssue = ghIssues[i];
+      const synced = !!ghIssue?.number && !ghIssue.mapping?.deletedAt;
+      const url = this.buildJiraLink(linked.key, linked.self);
+
+      if (!groups.has(relation)) groups.set(relation, []);
+      groups.get(relation).push({
+        key: linked.key,
+        summary: linked.fields?.summary || "",
+        status: linked.fields?.status?.name || "",
+        url,
+        synced,
+        ref: synced ? this.formatIssueRef(owner, repo, ghIssue) : `[${linked.key}](${url})`,
+      });
+    });
+
+    return [...groups].map(([relation, issues]) => ({
+      relation,
+      issues,
+      refs: issues.map((i) => i.ref).join(", "),
+    }));
+  }
+
+  /**
+   * Replace image filenames with URLs (ensuring images are displayed, not just linked)
+   */
+  replaceImageReferences(markdown, attachmentUrlMap = {}) {
+    let processedDescription = markdown;
+    console.log(`Original description: ${markdown}`);
     console.log(`Attachment URL map:`, JSON.stringify(attachmentUrlMap));
     
     for (const [filename, url] of Object.entries(attachmentUrlMap)) {
@@ -959,6 +3664,33 @@ class IssueSyncHandler {
     }
     
     console.log(`Processed description: ${processedDescription}`);
+    return processedDescription;
+  }
+
+  /**
+   * Build issue body with metadata
+   */
+  async buildIssueBody(issue, description, attachmentUrlMap = {}, owner = this.config.github.owner, repo = this.config.github.repo) {
+    const { fields } = issue;
+    const statusName = fields.status?.name;
+    const priority = fields.priority?.name || "Medium";
+    const dueDate = fields.duedate;
+    const startDateField = await this.config.getStartDateField();
+    const startDate = extractStartDate(fields, startDateField);
+    const assignee = fields.assignee;
+    const parentIssue = fields.parent;
+    const isSubtask = fields.issuetype?.subtask === true || fields.issuetype?.name === "Sub-task";
+    const hasParent = !!parentIssue;
+
+    // Acceptance criteria come from their own field, or from a section of the description
+    const acceptanceCriteriaField = await this.config.getAcceptanceCriteriaField();
+    const criteriaFromField = acceptanceCriteriaField ? this.toMarkdown(fields[acceptanceCriteriaField]) : "";
+    const { description: descriptionText, criteria } = criteriaFromField
+      ? { description, criteria: criteriaFromField }
+      : splitAcceptanceCriteria(description);
+
+    const processedDescription = this.replaceImageReferences(descriptionText, attachmentUrlMap);
+    const acceptanceCriteria = toTaskList(this.replaceImageReferences(criteria, attachmentUrlMap)).trim();
 
     const jiraKey = issue.key;
     const jiraLink = this.buildJiraLink(jiraKey, issue.self);
@@ -984,7 +3716,7 @@ class IssueSyncHandler {
       if (!value) continue;
       
       // Skip fields already displayed in dedicated sections
-      if (fieldId === startDateFieldId) continue;
+      if (fieldId === startDateFieldId || fieldId === acceptanceCriteriaField) continue;
       
       // Get human-readable field name
       const fieldName = this.config.fieldMapper 
@@ -1001,8 +3733,8 @@ class IssueSyncHandler {
       if (typeof value === 'string' || typeof value === 'number' || typeof value === 'boolean') {
         fieldValue = String(value);
       } else if (typeof value === 'object') {
-        // Try extractText for ADF content
-        const extracted = extractText(value);
+        // Try adfToMarkdown for ADF content
+        const extracted = this.toMarkdown(value);
         if (extracted && extracted.trim()) {
           fieldValue = extracted.trim();
         } else if (value.value !== undefined) {
@@ -1016,137 +3748,226 @@ class IssueSyncHandler {
       
       if (fieldValue && fieldValue.trim()) {
         console.log(`Custom field: ${fieldName} (${fieldId}) = ${fieldValue}`);
-        customFields.push({ name: fieldName, value: compactInline(fieldValue) });
+        customFields.push({ id: fieldId, name: fieldName, value: compactInline(fieldValue) });
       }
     }
 
-    const bodyParts = [
-      `- Jira: ${jiraKey}`,
-      `- Jira Link: ${jiraLink}`,
-      `- Description: ${compactInline(processedDescription)}`,
-    ];
+    const attachments = (Array.isArray(fields.attachment) ? fields.attachment : [])
+      .filter((att) => att.filename)
+      .map((att) => ({
+        filename: att.filename,
+        url: attachmentUrlMap[att.filename] || att.content || "",
+        mimeType: att.mimeType || "",
+        isImage: String(att.mimeType || "").startsWith("image/"),
+        size: att.size,
+      }));
+
+    const linkedIssues = await this.buildLinkedIssues(fields.issuelinks, owner, repo);
+
+    // Everything a template can use (ISSUE_BODY_TEMPLATE / ISSUE_BODY_TEMPLATE_FILE)
+    const view = {
+      jiraKey,
+      jiraLink,
+      summary: fields.summary || "",
+      issueType: fields.issuetype?.name || "",
+      isSubtask,
+      parent: hasParent ? { key: parentIssue.key, summary: parentIssue.fields?.summary || "Parent Issue" } : null,
+      status: statusName || "Not set",
+      dueDate: dueDate || "Not set",
+      startDate: startDate || "",
+      priority,
+      assignee: assignee
+        ? {
+            mapped: assigneeInfo.isMapped && assigneeInfo.usernames.length > 0,
+            handles: assigneeInfo.usernames.map((u) => `@${u}`).join(", "),
+            displayName: assigneeInfo.displayName,
+            email: assigneeInfo.email,
+          }
+        : null,
+      // Kept as Markdown so formatting survives
+      description: processedDescription.trim() || "No description",
+      // Task list so progress can be ticked off on GitHub
+      acceptanceCriteria,
+      linkedIssues,
+      hasLinkedIssues: linkedIssues.length > 0,
+      customFields,
+      hasCustomFields: customFields.length > 0,
+      attachments,
+      hasAttachments: attachments.length > 0,
+    };
+
+    return renderTemplate(this.config.templates.issueBody || DEFAULT_ISSUE_BODY_TEMPLATE, view).trim();
+  }
+
+  /**
+   * Build Jira browse URL
+   */
+  buildJiraLink(jiraKey, selfUrl) {
+    if (!jiraKey) return "";
+
+    const baseUrl = this.config.jira.baseUrl;
+    if (baseUrl) {
+      return `${baseUrl}/browse/${jiraKey}`;
+    }
+
+    const match = String(selfUrl).match(/^(https?:\/\/.+?)\/rest\/api\//) || String(selfUrl).match(/^(https?:\/\/[^\/]+)/);
+    return match ? `${match[1]}/browse/${jiraKey}` : "";
+  }
+
+/**
+   * Process comment and create on GitHub
+   */
+  async syncComment(owner, repo, issueNumber, jiraComment, issueFields = null, eventType = null, mapping = null) {
+    const author = jiraComment.author || {};
+    const created = jiraComment.created || new Date().toISOString();
+    const jiraCommentId = jiraComment.id;
+    const userInfo = this.config.resolveUser(author);
+
+    // Build comment with attribution (COMMENT_TEMPLATE / COMMENT_TEMPLATE_FILE)
+    const view = {
+      author: {
+        mapped: userInfo.isMapped && userInfo.usernames.length > 0,
+        handles: userInfo.usernames.map((u) => `@${u}`).join(", "),
+        displayName: userInfo.displayName,
+        email: userInfo.email,
+      },
+      body: this.toMarkdown(jiraComment.body) || "No content",
+      created,
+      jiraCommentId,
+    };
+    const attribution = renderTemplate(this.config.templates.comment || DEFAULT_COMMENT_TEMPLATE, view).trim();
+
+    // The marker is always added: it is how mirrored comments are found again
+    const finalBody = `${attribution}\n<!-- jira-comment-id: ${jiraCommentId} -->`;
 
-    if (hasParent) {
-      bodyParts.push(`- Parent: ${parentIssue.key} - ${parentIssue.fields?.summary || "Parent Issue"}`);
-    }
+    const jiraKey = mapping?.jiraKey;
 
-    bodyParts.push(`- Status: ${statusName || "Not set"}`);
-    bodyParts.push(`- Due Date: ${dueDate || "Not set"}`);
-    if (startDate) {
-      bodyParts.push(`- Start Date: ${startDate}`);
-    }
-    bodyParts.push(`- Priority: ${priority}`);
+    // For comment updates, find and update existing comment
+    if (eventType === "comment_updated" && jiraCommentId) {
+      const mappedCommentId = mapping?.comments?.[jiraCommentId];
+      if (mappedCommentId && (await this.github.updateComment(owner, repo, mappedCommentId, finalBody))) {
+        return true;
+      }
 
-    // Add assignee info
-    if (assigneeInfo.isMapped && assigneeInfo.usernames.length > 0) {
-      bodyParts.push(`- Assignee: ${assigneeInfo.usernames.map((u) => `@${u}`).join(", ")}`);
-    } else if (assignee) {
-      bodyParts.push(`- Jira Assignee: ${assigneeInfo.displayName}`);
-      if (assigneeInfo.email) bodyParts.push(`- Assignee Email: ${assigneeInfo.email}`);
-      if (!assigneeInfo.isMapped) {
-        bodyParts.push("", "Note: Jira assignee not mapped to GitHub user. Add to USER_MAP_JSON.");
+      const existing = await this.findMirroredComment(owner, repo, issueNumber, jiraCommentId);
+      if (existing) {
+        const updated = await this.github.updateComment(owner, repo, existing.id, finalBody);
+        if (updated) await this.mappings.putComment(jiraKey, jiraCommentId, existing.id);
+        return updated;
       }
     }
 
-    // Add custom fields section
-    if (customFields.length > 0) {
-      bodyParts.push("", "Custom Fields");
-      customFields.forEach(field => {
-        bodyParts.push(`- ${field.name}: ${field.value}`);
-      });
-    }
+    const ghComment = await this.github.createComment(owner, repo, issueNumber, finalBody);
+    if (ghComment?.id) await this.mappings.putComment(jiraKey, jiraCommentId, ghComment.id);
+    return !!ghComment;
+  }
 
-    return bodyParts.filter((v) => v !== undefined && v !== null).join("\n");
+  /**
+   * Find the GitHub comment mirrored from a Jira comment by its jira-comment-id marker
+   */
+  async findMirroredComment(owner, repo, issueNumber, jiraCommentId) {
+    const comments = await this.github.listComments(owner, repo, issueNumber);
+    return comments.find((c) => c.body?.includes(`<!-- jira-comment-id: ${jiraCommentId} -->`)) || null;
   }
 
   /**
-   * Build Jira browse URL
+   * Remove the GitHub copy of a Jira comment: delete it, or strike it through when mode is "strike"
+   * Returns true when there was nothing to remove
    */
-  buildJiraLink(jiraKey, selfUrl) {
-    if (!jiraKey) return "";
+  async removeComment(owner, repo, issueNumber, jiraCommentId, mapping = null, mode = "delete") {
+    if (!jiraCommentId) return false;
+
+    const mappedCommentId = mapping?.comments?.[jiraCommentId];
+    const existing = mappedCommentId
+      ? await this.github.getComment(owner, repo, mappedCommentId)
+      : await this.findMirroredComment(owner, repo, issueNumber, jiraCommentId);
+    if (!existing) {
+      console.log(`No GitHub comment mirrored from Jira comment ${jiraCommentId}`);
+      return true;
+    }
 
-    const baseUrl = this.config.jira.baseUrl;
-    if (baseUrl) {
-      return `${baseUrl}/browse/${jiraKey}`;
+    let removed;
+    if (mode === "strike") {
+      const marker = `<!-- jira-comment-id: ${jiraCommentId} -->`;
+      const original = String(existing.body || "").replace(marker, "").trim();
+      removed = original.startsWith("_This comment was deleted in Jira._")
+        || (await this.github.updateComment(
+          owner,
+          repo,
+          existing.id,
+          `_This comment was deleted in Jira._\n\n<del>\n\n${original}\n\n</del>\n${marker}`
+        ));
+    } else {
+      removed = await this.github.deleteComment(owner, repo, existing.id);
+      if (removed) await this.mappings.deleteComment(mapping?.jiraKey, jiraCommentId);
     }
 
-    const match = String(selfUrl).match(/^(https?:\/\/[^\/]+)/);
-    return match ? `${match[1]}/browse/${jiraKey}` : "";
+    console.log(`Removed GitHub comment ${existing.id} (${mode}) for Jira comment ${jiraCommentId}`);
+    return removed;
   }
 
   /**
-   * Update issue body with current status and dates
+   * Build labels, state and state_reason for a Jira status, replacing previous status labels
    */
-  updateBodyDates(oldBody, statusName, startDate, dueDate) {
-    const lines = String(oldBody || "").split("\n");
-    const filtered = lines.filter(
-      (l) => !/^(\-\s*)?(?:\*\*)?(Status|Due Date|Start Date|Acceptance Criteria)(?:\*\*)?:/.test(l)
-    );
+  buildStateUpdate(current, status) {
+    const resolved = this.config.resolveStatus(status);
+    const mappedLabels = this.config.statusLabels;
+
+    const existingLabels = (current.labels || []).map((l) => (typeof l === "string" ? l : l.name)).filter(Boolean);
+    const preserved = existingLabels.filter((l) => !l.toLowerCase().startsWith("status:") && !mappedLabels.has(l.toLowerCase()));
+    const update = {
+      labels: [...new Set([...preserved, resolved.label].filter(Boolean))],
+      state: resolved.state,
+    };
+
+    if (resolved.state === "closed") {
+      update.state_reason = resolved.stateReason;
+    } else if (current.state === "closed") {
+      update.state_reason = "reopened";
+    }
 
-    return [
-      ...filtered,
-      "",
-      `- Status: ${statusName || "Not set"}`,
-      `- Due Date: ${dueDate || "Not set"}`,
-      `- Start Date: ${startDate || "Not set"}`,
-    ].join("\n");
+    return update;
   }
 
-/**
-   * Process comment and create on GitHub
+  /**
+   * Render the synced region for a Jira issue through the configured body template
+   * Attachments are re-hosted first (existing release assets are reused)
    */
-  async syncComment(owner, repo, issueNumber, jiraComment, issueFields = null, eventType = null) {
-    const author = jiraComment.author || {};
-    const created = jiraComment.created || new Date().toISOString();
-    const jiraCommentId = jiraComment.id;
-    const userInfo = this.config.resolveUser(author);
-
-    let commentBody = extractText(jiraComment.body) || "No content";
-
-    // Build comment with attribution
-    let finalBody;
-    if (userInfo.isMapped && userInfo.usernames.length > 0) {
-      const mentions = userInfo.usernames.map((u) => `@${u}`).join(", ");
-      finalBody = `**Comment by ${mentions}** (${userInfo.displayName} in Jira)\n\n${commentBody}`;
-    } else {
-      finalBody = `**Comment by ${userInfo.displayName}**${userInfo.email ? ` (${userInfo.email})` : ""} in Jira\n\n${commentBody}\n\n---\n_Note: This Jira user is not mapped to a GitHub contributor._`;
-    }
-    
-    finalBody += `\n_Posted: ${created}_`;
-    finalBody += `\n<!-- jira-comment-id: ${jiraCommentId} -->`;
+  async renderIssueBody(owner, repo, issue) {
+    const { fields } = issue;
+    const description = this.toMarkdown(fields.description) || "No description";
 
-    // For comment updates, find and update existing comment
-    if (eventType === "comment_updated" && jiraCommentId) {
-      const comments = await this.github.listComments(owner, repo, issueNumber);
-      const existing = comments.find(c => c.body?.includes(`<!-- jira-comment-id: ${jiraCommentId} -->`));
-      if (existing) {
-        return await this.github.updateComment(owner, repo, existing.id, finalBody);
-      }
+    const attachmentMap = {};
+    if (Array.isArray(fields.attachment)) {
+      fields.attachment.forEach((att) => {
+        if (att.filename && att.content) {
+          attachmentMap[att.filename] = att.content;
+        }
+      });
     }
 
-    return await this.github.createComment(owner, repo, issueNumber, finalBody);
+    const attachmentUrlMap = await this.images.processImages(attachmentMap, owner, repo);
+    return this.buildIssueBody(issue, description, attachmentUrlMap, owner, repo);
   }
 
   /**
    * Update issue status and dates
+   * Re-renders the synced region so templated layouts stay current
    */
-  async updateIssueStatus(owner, repo, issueNumber, statusLabel, statusName, startDate, dueDate) {
+  async updateIssueStatus(owner, repo, issueNumber, issue) {
     try {
       const current = await this.github.getIssue(owner, repo, issueNumber);
       if (!current) return;
 
-      const existingLabels = (current.labels || []).map((l) => (typeof l === "string" ? l : l.name)).filter(Boolean);
-      const preserved = existingLabels.filter((l) => !l.toLowerCase().startsWith("status:"));
-      const nextLabels = [...new Set([...preserved, statusLabel].filter(Boolean))];
-      const desiredState = /^(done|resolved|closed)$/i.test(statusName || "") ? "closed" : "open";
-      const nextBody = this.updateBodyDates(current.body, statusName, startDate, dueDate);
-
+      const { fields } = issue;
       await this.github.updateIssue(owner, repo, issueNumber, {
-        labels: nextLabels,
-        state: desiredState,
-        body: nextBody,
+        ...this.buildStateUpdate(current, fields.status),
+        body: mergeSyncedRegion(current.body, await this.renderIssueBody(owner, repo, issue)),
       });
 
+      const startDate = extractStartDate(fields, await this.config.getStartDateField());
+      await this.syncProjectItem(current.node_id, fields, startDate);
+
       console.log(`Updated issue #${issueNumber} status`);
     } catch (err) {
       console.warn("Failed to update issue:", err.message);
@@ -1160,42 +3981,26 @@ class IssueSyncHandler {
     try {
       const { fields } = issue;
       const jiraKey = issue.key;
-      const description = extractText(fields.description) || "No description";
-
-      // Build attachment map and process images
-      const attachmentMap = {};
-      if (Array.isArray(fields.attachment)) {
-        fields.attachment.forEach((att) => {
-          if (att.filename && att.content) {
-            attachmentMap[att.filename] = att.content;
-          }
-        });
-      }
-
-      const attachmentUrlMap = await this.images.processImages(attachmentMap, owner, repo);
 
       // Build new body and title
-      const newBody = await this.buildIssueBody(issue, description, attachmentUrlMap);
+      const newBody = await this.renderIssueBody(owner, repo, issue);
       const newTitle = `${jiraKey}: ${fields.summary || jiraKey || "Updated Jira Item"}`;
 
       // Get current issue to preserve labels and state
       const current = await this.github.getIssue(owner, repo, issueNumber);
       if (!current) return false;
 
-      const statusName = fields.status?.name;
-      const existingLabels = (current.labels || []).map((l) => (typeof l === "string" ? l : l.name)).filter(Boolean);
-      const preserved = existingLabels.filter((l) => !l.toLowerCase().startsWith("status:"));
-      const statusLabel = this.config.buildStatusLabel(statusName);
-      const nextLabels = [...new Set([...preserved, statusLabel].filter(Boolean))];
-      const desiredState = /^(done|resolved|closed)$/i.test(statusName || "") ? "closed" : "open";
-
       const updateData = {
         title: newTitle,
-        body: newBody,
-        labels: nextLabels,
-        state: desiredState,
+        // Only the synced region is replaced; notes added on GitHub around it are kept
+        body: mergeSyncedRegion(current.body, newBody),
+        ...this.buildStateUpdate(current, fields.status),
       };
 
+      // Move between milestones when fix versions or sprint change
+      const milestone = await this.resolveMilestoneNumber(owner, repo, fields);
+      if (milestone !== undefined) updateData.milestone = milestone;
+
       // Add assignees if updateAssignee flag is set
       if (updateAssignee) {
         const assigneeInfo = this.config.resolveUser(fields.assignee);
@@ -1211,6 +4016,9 @@ class IssueSyncHandler {
 
       await this.github.updateIssue(owner, repo, issueNumber, updateData);
 
+      const startDate = extractStartDate(fields, await this.config.getStartDateField());
+      await this.syncProjectItem(current.node_id, fields, startDate);
+
       console.log(`Updated issue #${issueNumber} title and body`);
       return true;
     } catch (err) {
@@ -1224,29 +4032,35 @@ class IssueSyncHandler {
    */
   async linkToParent(owner, repo, newIssueNumber, newIssueTitle, jiraKey, parentIssue, isSubtask) {
     try {
-      const parentGhIssue = await this.github.findIssue(owner, repo, parentIssue.key);
+      const parentGhIssue = await this.findLinkedIssue(owner, repo, parentIssue.key);
       if (!parentGhIssue?.number) {
         console.warn(`Parent issue ${parentIssue.key} not found in GitHub`);
         return;
       }
 
+      // Parent may live in another repository when routing rules differ
+      const parentOwner = parentGhIssue.owner || owner;
+      const parentRepo = parentGhIssue.repo || repo;
+      const childRef = this.formatIssueRef(parentOwner, parentRepo, { owner, repo, number: newIssueNumber });
+      const parentRef = this.formatIssueRef(owner, repo, parentGhIssue);
+
       const relationshipLabel = isSubtask ? "Subtask" : "Child issue";
       await Promise.all([
         this.github.createComment(
-          owner,
-          repo,
+          parentOwner,
+          parentRepo,
           parentGhIssue.number,
-          `**${relationshipLabel} created:** #${newIssueNumber} - ${newIssueTitle}\n\nJira: ${jiraKey}`
+          `**${relationshipLabel} created:** ${childRef} - ${newIssueTitle}\n\nJira: ${jiraKey}`
         ),
         this.github.createComment(
           owner,
           repo,
           newIssueNumber,
-          `**Parent issue:** #${parentGhIssue.number} - ${parentIssue.fields?.summary || "Parent Issue"}\n\nJira Parent: ${parentIssue.key}`
+          `**Parent issue:** ${parentRef} - ${parentIssue.fields?.summary || "Parent Issue"}\n\nJira Parent: ${parentIssue.key}`
         ),
       ]);
 
-      console.log(`Linked ${relationshipLabel.toLowerCase()} #${newIssueNumber} to parent #${parentGhIssue.number}`);
+      console.log(`Linked ${relationshipLabel.toLowerCase()} #${newIssueNumber} to parent ${parentRef}`);
     } catch (err) {
       console.warn("Failed to link to parent:", err.message);
     }
@@ -1260,7 +4074,7 @@ class IssueSyncHandler {
     const jiraKey = issue.key;
     
     // Final duplicate check right before creating (prevents race conditions)
-    const existingCheck = await this.github.findIssue(owner, repo, jiraKey);
+    const existingCheck = await this.findLinkedIssue(owner, repo, jiraKey);
     if (existingCheck?.number) {
       console.log(`Issue already exists (race condition detected): #${existingCheck.number} for ${jiraKey}`);
       return existingCheck;
@@ -1271,7 +4085,7 @@ class IssueSyncHandler {
     const statusName = fields.status?.name;
 
     // Extract and process description
-    const description = extractText(fields.description) || "No description";
+    const description = this.toMarkdown(fields.description) || "No description";
 
     // Build attachment map and process images
     const attachmentMap = {};
@@ -1287,7 +4101,7 @@ class IssueSyncHandler {
 
     // Build labels
     const ghLabels = this.config.mapLabels(labels);
-    const statusLabel = this.config.buildStatusLabel(statusName);
+    const statusLabel = this.config.resolveStatus(fields.status || statusName).label;
     if (statusLabel) ghLabels.push(statusLabel);
 
     // Add subtask/child labels
@@ -1317,7 +4131,7 @@ class IssueSyncHandler {
     console.log(`Valid labels to apply: ${validLabels.join(", ")}`);
 
     // Build issue body
-    const body = await this.buildIssueBody(issue, description, attachmentUrlMap);
+    const body = mergeSyncedRegion("", await this.buildIssueBody(issue, description, attachmentUrlMap, owner, repo));
 
     // Create issue
     const issueData = {
@@ -1327,8 +4141,15 @@ class IssueSyncHandler {
       assignees: ghAssignees,
     };
 
+    const milestone = await this.resolveMilestoneNumber(owner, repo, fields);
+    if (milestone) issueData.milestone = milestone;
+
     const createdIssue = await this.github.createIssue(owner, repo, issueData);
     console.log(`Created GitHub issue #${createdIssue.number} for ${jiraKey}`);
+    await this.mappings.put(jiraKey, owner, repo, createdIssue);
+
+    const startDate = extractStartDate(fields, await this.config.getStartDateField());
+    await this.syncProjectItem(createdIssue.node_id, fields, startDate);
 
     // Link to parent if applicable
     if (hasParent && fields.parent && createdIssue.number) {
@@ -1340,6 +4161,21 @@ class IssueSyncHandler {
 }
 
 
+/**
+ * Fingerprint a Jira webhook delivery
+ * Prefers Jira's delivery id header; falls back to a hash of timestamp, event and key
+ */
+function computeEventFingerprint(event, jiraPayload) {
+  const headers = event.headers || {};
+  for (const [k, v] of Object.entries(headers)) {
+    if (k.toLowerCase() === "x-atlassian-webhook-identifier" && v) return `jira-${v}`;
+  }
+
+  const key = jiraPayload.issue?.key || jiraPayload.version?.id || jiraPayload.issueLink?.id || "";
+  const source = `${jiraPayload.timestamp || ""}|${jiraPayload.webhookEvent || ""}|${key}`;
+  return `hash-${crypto.createHash("sha256").update(source).digest("hex")}`;
+}
+
 /**
  * Validate Jira webhook secret using HMAC or plain-text
  */
@@ -1380,18 +4216,46 @@ function validateJiraSecret(event, rawBody, secret) {
 
 
 
-export const handler = async (event) => {
-  try {
-    console.log("Incoming Jira webhook");
+/**
+ * Create a Jira field mapper from environment settings
+ */
+function createJiraFieldMapper(env) {
+  return new JiraFieldMapper(
+    env.JIRA_BASE_URL,
+    env.JIRA_EMAIL?.trim(),
+    env.JIRA_API_TOKEN?.trim(),
+    normalizeJiraFlavor(env.JIRA_FLAVOR)
+  );
+}
 
-    // Decode payload
-    const rawBody = event.isBase64Encoded ? Buffer.from(event.body || "", "base64").toString("utf8") : event.body || "";
+/**
+ * Check whether an issue update only touched the acceptance criteria field and was made by the sync's own Jira user
+ * (checkboxes ticked on GitHub and written back), so it is not rendered back to GitHub
+ */
+async function isOwnAcceptanceCriteriaUpdate(jiraPayload, config) {
+  const fieldId = await config.getAcceptanceCriteriaField();
+  if (!fieldId) return false;
+
+  // Server / Data Center changelog items only carry the field name
+  const fieldName = config.fieldMapper ? await config.fieldMapper.getFieldName(fieldId) : fieldId;
+  const items = jiraPayload.changelog?.items || [];
+  if (!items.length || !items.every((item) => item.fieldId === fieldId || item.field === fieldName)) return false;
+
+  const jiraClient = new JiraClient(config.jira.baseUrl, config.jira.email, config.jira.token, config.jira.flavor);
+  const myself = jiraClient.isConfigured() ? await jiraClient.getMyself() : null;
+  const user = jiraPayload.user || {};
+  if (!myself) return false;
+  return myself.accountId ? myself.accountId === user.accountId : !!myself.name && myself.name === user.name;
+}
 
+/**
+ * Sync a parsed Jira webhook payload to GitHub
+ * Used inline by the HTTP handler or by the SQS worker
+ */
+async function processJiraEvent(jiraPayload, lambdaContext = null) {
+  try {
     // Initialize Jira field mapper
-    const jiraBaseUrl = process.env.JIRA_BASE_URL;
-    const jiraEmail = process.env.JIRA_EMAIL?.trim();
-    const jiraToken = process.env.JIRA_API_TOKEN?.trim();
-    const fieldMapper = new JiraFieldMapper(jiraBaseUrl, jiraEmail, jiraToken);
+    const fieldMapper = createJiraFieldMapper(process.env);
     
     // Pre-fetch field mappings (async, don't await - will be cached for use later)
     fieldMapper.fetchFieldMap().catch(err => 
@@ -1401,22 +4265,14 @@ export const handler = async (event) => {
     // Initialize configuration
     const config = new ConfigManager(process.env, fieldMapper);
 
-    // Validate webhook secret
-    if (!validateJiraSecret(event, rawBody, config.jira.webhookSecret)) {
-      console.warn("Invalid Jira webhook secret");
-      return { statusCode: 401, body: JSON.stringify({ message: "Unauthorized" }) };
+    const eventType = jiraPayload.webhookEvent;
+    if (String(eventType).startsWith("jira:version_")) {
+      return await processVersionEvent(jiraPayload, config, lambdaContext);
     }
-
-    // Parse payload
-    let jiraPayload;
-    try {
-      jiraPayload = JSON.parse(rawBody);
-    } catch (err) {
-      console.error("Invalid JSON payload:", err);
-      return { statusCode: 400, body: JSON.stringify({ message: "Invalid JSON payload" }) };
+    if (String(eventType).startsWith("issuelink_")) {
+      return await processIssueLinkEvent(jiraPayload, config, lambdaContext);
     }
 
-    const eventType = jiraPayload.webhookEvent;
     const issue = jiraPayload.issue || {};
     const jiraKey = issue.key;
     const changelog = jiraPayload.changelog || {};
@@ -1438,21 +4294,29 @@ export const handler = async (event) => {
         console.log(`Skipping parent-only update for ${jiraKey}`);
         return { statusCode: 200, body: JSON.stringify({ message: "Parent-only update skipped" }) };
       }
+
+      if (await isOwnAcceptanceCriteriaUpdate(jiraPayload, config)) {
+        console.log(`Skipping acceptance criteria update for ${jiraKey} written back from GitHub`);
+        return { statusCode: 200, body: JSON.stringify({ message: "Acceptance criteria update came from GitHub" }) };
+      }
     }
 
-    // Validate GitHub configuration
-    const { owner, repo, token } = config.github;
-    if (!owner || !repo || !token) {
+    // Validate GitHub configuration and route to the target repository
+    const { owner, repo } = await config.resolveTarget(issue);
+    if (!owner || !repo || !hasGitHubCredentials(config)) {
       return { statusCode: 500, body: JSON.stringify({ message: "Missing GitHub configuration" }) };
     }
+    const endpointsError = githubEndpointsError(config);
+    if (endpointsError) return endpointsError;
 
     // Initialize clients
-    const githubClient = new GitHubClient(token);
-    const imageHandler = new ImageHandler(config.jira.email, config.jira.token, githubClient);
-    const issueSync = new IssueSyncHandler(config, githubClient, imageHandler);
+    const githubClient = createGitHubClient(config, lambdaContext);
+    const imageHandler = new ImageHandler(config.jira.email, config.jira.token, githubClient, config.jira.flavor);
+    const mappingStore = new IssueMappingStore(config.storage.mappingTable);
+    const issueSync = new IssueSyncHandler(config, githubClient, imageHandler, mappingStore);
 
     // Handle comment events
-    if (["jira:issue_commented", "comment_created", "comment_updated"].includes(eventType)) {
+    if (["jira:issue_commented", "comment_created", "comment_updated", "comment_deleted"].includes(eventType)) {
       const comment = jiraPayload.comment || {};
 
       if (!jiraKey) {
@@ -1460,15 +4324,68 @@ export const handler = async (event) => {
         return { statusCode: 400, body: JSON.stringify({ message: "No Jira key found" }) };
       }
 
-      const ghIssue = await githubClient.findIssue(owner, repo, jiraKey);
+      // Skip comments that were mirrored from GitHub (deleted comments no longer have properties)
+      const isDeletion = eventType === "comment_deleted";
+      const jiraClient = new JiraClient(config.jira.baseUrl, config.jira.email, config.jira.token, config.jira.flavor);
+      if (comment.id && !isDeletion && jiraClient.isConfigured()) {
+        const mirrored = await jiraClient.getCommentProperty(comment.id, GITHUB_COMMENT_PROPERTY);
+        if (mirrored) {
+          console.log(`Skipping comment ${comment.id} mirrored from GitHub comment ${mirrored.githubCommentId}`);
+          return { statusCode: 200, body: JSON.stringify({ message: "Comment originated from GitHub" }) };
+        }
+      }
+
+      const ghIssue = await issueSync.findLinkedIssue(owner, repo, jiraKey);
       if (!ghIssue?.number) {
         console.warn(`No GitHub issue found for ${jiraKey}`);
         return { statusCode: 200, body: JSON.stringify({ message: "No corresponding GitHub issue" }) };
       }
 
-  
+      if (ghIssue.mapping?.deletedAt) {
+        return { statusCode: 200, body: JSON.stringify({ message: "Jira issue was deleted" }) };
+      }
+
+      if (ghIssue.mapping?.unlinked) {
+        console.log(`Skipping comment for ${jiraKey}: unlinked (${ghIssue.mapping.unlinked.policy})`);
+        return { statusCode: 200, body: JSON.stringify({ message: "GitHub issue unlinked from Jira" }) };
+      }
+
+      // Comments restricted to a Jira role/group must not reach GitHub
+      if (!isDeletion && !config.isCommentVisible(comment)) {
+        console.log(`Skipping comment ${comment.id}: visibility restricted to ${comment.visibility?.value || "internal"}`);
+
+        // A comment that just became restricted may already be mirrored; always hard-delete it
+        if (eventType === "comment_updated") {
+          await issueSync.removeComment(ghIssue.owner, ghIssue.repo, ghIssue.number, comment.id, ghIssue.mapping);
+        }
+        return { statusCode: 200, body: JSON.stringify({ message: "Restricted comment not synced" }) };
+      }
+
+      if (isDeletion) {
+        const removed = await issueSync.removeComment(
+          ghIssue.owner,
+          ghIssue.repo,
+          ghIssue.number,
+          comment.id,
+          ghIssue.mapping,
+          config.comments.deleteMode
+        );
+        return {
+          statusCode: removed ? 200 : 500,
+          body: JSON.stringify({ message: removed ? "Comment removed" : "Failed to remove comment" }),
+        };
+      }
+
       const fields = issue.fields || {};
-      const success = await issueSync.syncComment(owner, repo, ghIssue.number, comment, fields, eventType);
+      const success = await issueSync.syncComment(
+        ghIssue.owner,
+        ghIssue.repo,
+        ghIssue.number,
+        comment,
+        fields,
+        eventType,
+        ghIssue.mapping
+      );
       
       return {
         statusCode: success ? 201 : 500,
@@ -1476,6 +4393,20 @@ export const handler = async (event) => {
       };
     }
 
+    // Handle issue deletion before type/label checks so it never re-creates the issue
+    if (["jira:issue_deleted", "issue_deleted"].includes(eventType)) {
+      const ghIssue = await issueSync.findLinkedIssue(owner, repo, jiraKey);
+      if (!ghIssue?.number || ghIssue.mapping?.deletedAt) {
+        return { statusCode: 200, body: JSON.stringify({ message: "No linked GitHub issue to update", jiraKey }) };
+      }
+
+      const actions = await issueSync.handleDeletedIssue(ghIssue, jiraKey, jiraPayload.user);
+      return {
+        statusCode: 200,
+        body: JSON.stringify({ message: "Jira issue deletion synced", actions, issueNumber: ghIssue.number, jiraKey }),
+      };
+    }
+
     // Handle issue events
     const fields = issue.fields || {};
     const issueType = fields.issuetype?.name;
@@ -1496,16 +4427,39 @@ export const handler = async (event) => {
       return { statusCode: 200, body: JSON.stringify({ message: `Unsupported type: ${issueType}` }) };
     }
 
+    // Trigger label removed: apply TRIGGER_REMOVAL_POLICY once to the linked GitHub issue
+    const isLabelRemoval = ["jira:issue_updated", "issue_updated"].includes(eventType)
+      && config.triggerLabelRemoved(changelog.items)
+      && !config.hasTriggerLabel(labels);
+    if (isLabelRemoval) {
+      const linked = await issueSync.findLinkedIssue(owner, repo, jiraKey);
+      if (!linked?.number || linked.mapping?.unlinked) {
+        return { statusCode: 200, body: JSON.stringify({ message: "Trigger label removed; nothing to unlink", jiraKey }) };
+      }
+
+      const message = await issueSync.unlinkIssue(linked, jiraKey, config.jira.triggerRemovalPolicy);
+      return { statusCode: 200, body: JSON.stringify({ message, issueNumber: linked.number, jiraKey }) };
+    }
+
     if (!config.hasTriggerLabel(labels)) {
       console.info("Trigger label not present");
       return { statusCode: 200, body: JSON.stringify({ message: "Trigger label not present" }) };
     }
 
     // Check if issue already exists
-    const existingIssue = await githubClient.findIssue(owner, repo, jiraKey);
+    const existingIssue = await issueSync.findLinkedIssue(owner, repo, jiraKey);
 
     if (existingIssue?.number) {
       console.log(`Issue #${existingIssue.number} already exists for ${jiraKey}`);
+
+      if (existingIssue.mapping?.deletedAt) {
+        console.log(`Skipping ${jiraKey}: Jira issue was deleted`);
+        return { statusCode: 200, body: JSON.stringify({ message: "Jira issue was deleted", jiraKey }) };
+      }
+
+      if (existingIssue.mapping?.unlinked) {
+        await issueSync.relinkIssue(existingIssue, jiraKey);
+      }
       
       // For create events, if issue already exists, just return success (prevent duplicates)
       if (["jira:issue_created", "issue_created"].includes(eventType)) {
@@ -1529,7 +4483,13 @@ export const handler = async (event) => {
         // Check if assignee was changed
         const assigneeChanged = changelog.items?.some(item => item.field === "assignee") || false;
         
-        const updated = await issueSync.updateIssueBody(owner, repo, existingIssue.number, issue, assigneeChanged);
+        const updated = await issueSync.updateIssueBody(
+          existingIssue.owner,
+          existingIssue.repo,
+          existingIssue.number,
+          issue,
+          assigneeChanged
+        );
         
         return {
           statusCode: updated ? 200 : 500,
@@ -1542,12 +4502,12 @@ export const handler = async (event) => {
       } else {
         // Just sync status for other events (status changes, etc.)
         console.log(`Syncing status only for #${existingIssue.number}`);
-        const statusLabel = config.buildStatusLabel(statusName);
-        const startDateField = await config.getStartDateField();
-        const startDate = extractStartDate(fields, startDateField);
-        const dueDate = fields.duedate;
-
-        await issueSync.updateIssueStatus(owner, repo, existingIssue.number, statusLabel, statusName, startDate, dueDate);
+        await issueSync.updateIssueStatus(
+          existingIssue.owner,
+          existingIssue.repo,
+          existingIssue.number,
+          issue
+        );
 
         return {
           statusCode: 200,
@@ -1629,4 +4589,290 @@ export const handler = async (event) => {
       }),
     };
   }
-}
\ No newline at end of file
+}
+
+
+/**
+ * Create a GitHubClient using GitHub App auth when configured, else GITHUB_TOKEN
+ */
+function createGitHubClient(config, lambdaContext = null) {
+  const { token, owner, repo, appId, appPrivateKey, appInstallationId } = config.github;
+  const endpoints = config.githubEndpoints;
+  const appAuth = new GitHubAppAuth(appId, appPrivateKey, appInstallationId, endpoints.api);
+  return new GitHubClient(token, lambdaContext, appAuth, { owner, repo }, endpoints);
+}
+
+/**
+ * 500 response for an unusable GitHub base URL, or null when the endpoints parse
+ */
+function githubEndpointsError(config) {
+  const { error } = config.githubEndpoints;
+  if (!error) return null;
+
+  console.warn(`Invalid GitHub configuration: ${error}`);
+  return { statusCode: 500, body: JSON.stringify({ message: "Invalid GitHub configuration", details: error }) };
+}
+
+/**
+ * Check that GitHub credentials (App or token) are configured
+ */
+function hasGitHubCredentials(config) {
+  const { token, appId, appPrivateKey } = config.github;
+  return !!(token || (appId && appPrivateKey));
+}
+
+
+/**
+ * Handle Jira version webhooks: a released version closes its GitHub milestone
+ * and drafts a GitHub Release listing the synced issues
+ */
+async function processVersionEvent(jiraPayload, config, lambdaContext = null) {
+  const eventType = jiraPayload.webhookEvent;
+  const version = jiraPayload.version || {};
+
+  console.log(`Processing: ${eventType} for version ${version.name} (${version.id})`);
+
+  if (!["jira:version_released", "jira:version_updated"].includes(eventType)) {
+    return { statusCode: 200, body: JSON.stringify({ message: `Ignored event: ${eventType}` }) };
+  }
+  if (!version.id || !version.name) {
+    return { statusCode: 400, body: JSON.stringify({ message: "No version found" }) };
+  }
+  if (!version.released) {
+    return { statusCode: 200, body: JSON.stringify({ message: "Version not released" }) };
+  }
+
+  const jiraClient = new JiraClient(config.jira.baseUrl, config.jira.email, config.jira.token, config.jira.flavor);
+  if (!hasGitHubCredentials(config) || !jiraClient.isConfigured()) {
+    return { statusCode: 500, body: JSON.stringify({ message: "Missing GitHub or Jira configuration" }) };
+  }
+  const endpointsError = githubEndpointsError(config);
+  if (endpointsError) return endpointsError;
+
+  const githubClient = createGitHubClient(config, lambdaContext);
+  const imageHandler = new ImageHandler(config.jira.email, config.jira.token, githubClient, config.jira.flavor);
+  const mappingStore = new IssueMappingStore(config.storage.mappingTable);
+  const issueSync = new IssueSyncHandler(config, githubClient, imageHandler, mappingStore);
+
+  // Fields needed for routing and release notes
+  const jiraIssues = await jiraClient.searchIssues(`fixVersion = ${version.id}`, [
+    "summary",
+    ...(await config.getRoutingFields()),
+  ]);
+
+  const repositories = await issueSync.syncVersionRelease(version, jiraIssues);
+  if (!repositories.length) {
+    return { statusCode: 200, body: JSON.stringify({ message: "No synced issues in version", version: version.name }) };
+  }
+
+  return {
+    statusCode: 200,
+    body: JSON.stringify({ message: "Version release synced", version: version.name, repositories }),
+  };
+}
+
+
+/**
+ * Refresh the Linked Issues section on both ends of a created/deleted Jira issue link
+ * The payload only carries issue IDs, so both issues are fetched from Jira
+ */
+async function processIssueLinkEvent(jiraPayload, config, lambdaContext = null) {
+  const eventType = jiraPayload.webhookEvent;
+  const link = jiraPayload.issueLink || {};
+
+  console.log(`Processing: ${eventType} for link ${link.id} (${link.sourceIssueId} -> ${link.destinationIssueId})`);
+
+  if (!["issuelink_created", "issuelink_deleted"].includes(eventType)) {
+    return { statusCode: 200, body: JSON.stringify({ message: `Ignored event: ${eventType}` }) };
+  }
+  if (!link.sourceIssueId && !link.destinationIssueId) {
+    return { statusCode: 400, body: JSON.stringify({ message: "No issue link found" }) };
+  }
+
+  const jiraClient = new JiraClient(config.jira.baseUrl, config.jira.email, config.jira.token, config.jira.flavor);
+  if (!hasGitHubCredentials(config) || !jiraClient.isConfigured()) {
+    return { statusCode: 500, body: JSON.stringify({ message: "Missing GitHub or Jira configuration" }) };
+  }
+  const endpointsError = githubEndpointsError(config);
+  if (endpointsError) return endpointsError;
+
+  const githubClient = createGitHubClient(config, lambdaContext);
+  const imageHandler = new ImageHandler(config.jira.email, config.jira.token, githubClient, config.jira.flavor);
+  const mappingStore = new IssueMappingStore(config.storage.mappingTable);
+  const issueSync = new IssueSyncHandler(config, githubClient, imageHandler, mappingStore);
+
+  const refreshed = [];
+  for (const issueId of [link.sourceIssueId, link.destinationIssueId]) {
+    if (!issueId) continue;
+
+    const issue = await jiraClient.getIssue(String(issueId));
+    if (!issue?.key || !issue.fields) continue;
+
+    const target = await config.resolveTarget(issue);
+    const ghIssue = await issueSync.findLinkedIssue(target.owner, target.repo, issue.key);
+    if (!ghIssue?.number || ghIssue.mapping?.deletedAt || ghIssue.mapping?.unlinked) {
+      console.log(`No synced GitHub issue for ${issue.key}, skipping`);
+      continue;
+    }
+
+    const owner = ghIssue.owner || target.owner;
+    const repo = ghIssue.repo || target.repo;
+    if (await issueSync.updateIssueBody(owner, repo, ghIssue.number, issue)) {
+      refreshed.push(`${owner}/${repo}#${ghIssue.number}`);
+    }
+  }
+
+  if (!refreshed.length) {
+    return { statusCode: 200, body: JSON.stringify({ message: "No synced issues in link" }) };
+  }
+  return { statusCode: 200, body: JSON.stringify({ message: "Linked issues refreshed", issues: refreshed }) };
+}
+
+
+/**
+ * Run processJiraEvent at most once per webhook delivery
+ * Replays return the recorded result instead of syncing again
+ */
+async function processJiraEventOnce(jiraPayload, fingerprint, lambdaContext = null) {
+  const config = new ConfigManager(process.env);
+  const { idempotencyTable, idempotencyTtlSeconds } = config.storage;
+  const store = new IdempotencyStore(idempotencyTable, idempotencyTtlSeconds);
+
+  if (!store.isEnabled() || !fingerprint) {
+    return await processJiraEvent(jiraPayload, lambdaContext);
+  }
+
+  const claim = await store.claim(fingerprint);
+  if (!claim.claimed) {
+    if (claim.record?.status === "COMPLETED" && claim.record.result) {
+      console.log(`Replay of ${fingerprint}, returning recorded result`);
+      return claim.record.result;
+    }
+    console.log(`Delivery ${fingerprint} is already being processed`);
+    return { statusCode: 409, body: JSON.stringify({ message: "Event is already being processed" }) };
+  }
+
+  const result = await processJiraEvent(jiraPayload, lambdaContext);
+
+  // Failed syncs are released so Jira / SQS retries can run them again
+  if (result.statusCode >= 500) {
+    await store.release(fingerprint);
+  } else {
+    await store.complete(fingerprint, result);
+  }
+
+  return result;
+}
+
+
+/**
+ * Get SQS FIFO message group so events for one Jira issue are processed in order
+ */
+function getMessageGroupId(jiraPayload) {
+  if (jiraPayload.issue?.key) return jiraPayload.issue.key;
+  if (jiraPayload.version?.id) return `version-${jiraPayload.version.id}`;
+  if (jiraPayload.issueLink?.id) return `issuelink-${jiraPayload.issueLink.id}`;
+  return jiraPayload.webhookEvent || "jira";
+}
+
+/**
+ * Send Jira webhook payload to the sync queue
+ */
+async function enqueueJiraEvent(queueUrl, jiraPayload, fingerprint) {
+  if (!SQS_CLIENT) SQS_CLIENT = new SQSClient({});
+
+  const groupId = getMessageGroupId(jiraPayload);
+  const { MessageId } = await SQS_CLIENT.send(
+    new SendMessageCommand({
+      QueueUrl: queueUrl,
+      MessageBody: JSON.stringify({ payload: jiraPayload, fingerprint, receivedAt: new Date().toISOString() }),
+      MessageGroupId: groupId,
+      // SQS only allows 128 characters here
+      MessageDeduplicationId: crypto.createHash("sha256").update(fingerprint).digest("hex"),
+    })
+  );
+
+  console.log(`Queued ${jiraPayload.webhookEvent} for ${groupId} as ${MessageId}`);
+  return MessageId;
+}
+
+
+
+export const handler = async (event, context) => {
+  try {
+    console.log("Incoming Jira webhook");
+
+    // Decode payload
+    const rawBody = event.isBase64Encoded ? Buffer.from(event.body || "", "base64").toString("utf8") : event.body || "";
+
+    // Initialize configuration
+    const config = new ConfigManager(process.env);
+
+    // Validate webhook secret
+    if (!validateJiraSecret(event, rawBody, config.jira.webhookSecret)) {
+      console.warn("Invalid Jira webhook secret");
+      return { statusCode: 401, body: JSON.stringify({ message: "Unauthorized" }) };
+    }
+
+    // Parse payload
+    let jiraPayload;
+    try {
+      jiraPayload = JSON.parse(rawBody);
+    } catch (err) {
+      console.error("Invalid JSON payload:", err);
+      return { statusCode: 400, body: JSON.stringify({ message: "Invalid JSON payload" }) };
+    }
+
+    // Return the recorded result for deliveries that were already processed
+    const fingerprint = computeEventFingerprint(event, jiraPayload);
+    const { idempotencyTable, idempotencyTtlSeconds } = config.storage;
+    const recorded = await new IdempotencyStore(idempotencyTable, idempotencyTtlSeconds).get(fingerprint);
+    if (recorded?.status === "COMPLETED" && recorded.result) {
+      console.log(`Replay of ${fingerprint}, returning recorded result`);
+      return recorded.result;
+    }
+
+    // Hand off to the worker queue so Jira gets a fast response
+    if (config.queue.url) {
+      const messageId = await enqueueJiraEvent(config.queue.url, jiraPayload, fingerprint);
+      return {
+        statusCode: 202,
+        body: JSON.stringify({ message: "Event queued", messageId, fingerprint }),
+      };
+    }
+
+    return await processJiraEventOnce(jiraPayload, fingerprint, context);
+  } catch (err) {
+    console.error("Unhandled error:", err);
+    return {
+      statusCode: 500,
+      body: JSON.stringify({
+        message: "Internal server error",
+        details: err.message,
+      }),
+    };
+  }
+}
+
+
+export {
+  GITHUB_COMMENT_PROPERTY,
+  ConfigManager,
+  IdempotencyStore,
+  ImageHandler,
+  IssueMappingStore,
+  IssueSyncHandler,
+  JiraClient,
+  adfToMarkdown,
+  createGitHubClient,
+  createJiraFieldMapper,
+  hasGitHubCredentials,
+  processJiraEventOnce,
+  renderTemplate,
+  safeParseJSON,
+  splitAcceptanceCriteria,
+  splitSyncedRegion,
+  timingSafeEqualStr,
+  toTaskList,
+  wikiToMarkdown,
+};
@@ -0,0 +1,48 @@
+import { processJiraEventOnce, safeParseJSON } from "./jira-webhook.mjs";
+
+
+/**
+ * SQS worker - processes queued Jira webhook events
+ * Messages come from a FIFO queue grouped by Jira key. When a message fails,
+ * later messages of the same group in this batch are failed too so order is kept.
+ */
+export const handler = async (event, context) => {
+  const records = event.Records || [];
+  const batchItemFailures = [];
+  const failedGroups = new Set();
+
+  console.log(`Processing ${records.length} queued Jira event(s)`);
+
+  for (const record of records) {
+    const groupId = record.attributes?.MessageGroupId;
+
+    if (groupId && failedGroups.has(groupId)) {
+      console.warn(`Deferring message ${record.messageId}: earlier event for ${groupId} failed`);
+      batchItemFailures.push({ itemIdentifier: record.messageId });
+      continue;
+    }
+
+    try {
+      const { payload, fingerprint } = safeParseJSON(record.body) || {};
+      if (!payload) {
+        // Malformed messages can never succeed; drop them instead of retrying
+        console.error(`Dropping message ${record.messageId}: invalid body`);
+        continue;
+      }
+
+      const result = await processJiraEventOnce(payload, fingerprint, context);
+      console.log(`Message ${record.messageId} (${groupId}) -> ${result.statusCode} ${result.body}`);
+
+      // 409: another invocation holds the delivery; retry once it has finished
+      if (result.statusCode >= 500 || result.statusCode === 409) {
+        throw new Error(`Sync failed with status ${result.statusCode}`);
+      }
+    } catch (err) {
+      console.error(`Failed to process message ${record.messageId}:`, err.message);
+      if (groupId) failedGroups.add(groupId);
+      batchItemFailures.push({ itemIdentifier: record.messageId });
+    }
+  }
+
+  return { batchItemFailures };
+};